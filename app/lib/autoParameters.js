@@ -0,0 +1,124 @@
+/**
+ * Automatic parameter selection
+ * Derives blur, edge and threshold settings from the image itself instead
+ * of fixed presets: blur from a noise estimate, edge thresholds from the
+ * gradient distribution and the adaptive threshold window from resolution.
+ */
+
+/**
+ * Standard deviation of Gaussian noise in a grayscale image
+ * Immerkaer's method: a Laplacian-difference kernel cancels image structure
+ * up to second order, leaving mostly noise.
+ * J. Immerkaer, "Fast Noise Variance Estimation" (1996)
+ */
+export function estimateNoise(gray, width, height) {
+  if (width < 3 || height < 3) return 0;
+
+  let sum = 0;
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const i = y * width + x;
+      const v =
+        gray[i - width - 1] - 2 * gray[i - width] + gray[i - width + 1] -
+        2 * gray[i - 1] + 4 * gray[i] - 2 * gray[i + 1] +
+        gray[i + width - 1] - 2 * gray[i + width] + gray[i + width + 1];
+      sum += Math.abs(v);
+    }
+  }
+
+  return (Math.sqrt(Math.PI / 2) * sum) / (6 * (width - 2) * (height - 2));
+}
+
+/**
+ * Blur radius that brings the estimated noise well below edge contrast
+ */
+export function chooseBlurRadius(noise) {
+  return Math.max(1, Math.min(5, Math.round(noise / 3) + 1));
+}
+
+/**
+ * Odd adaptive threshold window of about 2% of the shorter side (7-51px)
+ */
+export function chooseBlockSize(width, height) {
+  const size = Math.round(Math.min(width, height) / 50);
+  return Math.max(7, Math.min(51, size | 1));
+}
+
+/**
+ * Threshold offset: noisier images need a larger margin below the local mean
+ */
+export function chooseThresholdC(noise) {
+  return Math.max(3, Math.min(15, Math.round(3 + noise)));
+}
+
+/**
+ * Edge thresholds from the gradient magnitude distribution
+ * 'otsu' splits the histogram into flat and edge pixels; 'median' scales the
+ * median magnitude, which tracks the noise floor.
+ * @param {{gx: Int16Array, gy: Int16Array}} gradients - Sobel gradients
+ * @param {string} method - 'otsu' or 'median'
+ * @returns {{edgeThreshold: number, cannyLowThreshold: number, cannyHighThreshold: number}}
+ */
+export function chooseEdgeThresholds(gradients, method = 'otsu') {
+  const { gx, gy } = gradients;
+  const bins = 1024;
+  const histogram = new Uint32Array(bins);
+
+  for (let i = 0; i < gx.length; i++) {
+    const mag = Math.sqrt(gx[i] * gx[i] + gy[i] * gy[i]);
+    histogram[Math.min(bins - 1, Math.round(mag))]++;
+  }
+
+  const high = method === 'median'
+    ? Math.max(20, 3 * histogramMedian(histogram, gx.length))
+    : Math.max(20, otsuThreshold(histogram, gx.length));
+
+  return {
+    // The edge map is clamped to 0-255
+    edgeThreshold: Math.min(150, Math.round(high)),
+    cannyLowThreshold: Math.round(high / 2),
+    cannyHighThreshold: Math.round(high),
+  };
+}
+
+/**
+ * Level maximising the between-class variance of a histogram
+ */
+export function otsuThreshold(histogram, total) {
+  let sumAll = 0;
+  for (let i = 0; i < histogram.length; i++) sumAll += i * histogram[i];
+
+  let sumBelow = 0;
+  let countBelow = 0;
+  let best = 0;
+  let bestVariance = -1;
+
+  for (let t = 0; t < histogram.length; t++) {
+    countBelow += histogram[t];
+    if (countBelow === 0) continue;
+
+    const countAbove = total - countBelow;
+    if (countAbove === 0) break;
+
+    sumBelow += t * histogram[t];
+    const meanBelow = sumBelow / countBelow;
+    const meanAbove = (sumAll - sumBelow) / countAbove;
+    const variance = countBelow * countAbove * (meanBelow - meanAbove) * (meanBelow - meanAbove);
+
+    if (variance > bestVariance) {
+      bestVariance = variance;
+      best = t;
+    }
+  }
+
+  return best;
+}
+
+function histogramMedian(histogram, total) {
+  let count = 0;
+  for (let i = 0; i < histogram.length; i++) {
+    count += histogram[i];
+    if (count * 2 >= total) return i;
+  }
+  return histogram.length - 1;
+}
@@ -0,0 +1,313 @@
+/**
+ * Book spread gutter detection
+ * An open book usually traces as one wide quad. The gutter between the two
+ * pages shows up either as an intensity valley (the shadow where the pages
+ * curve into the spine) or as a fold line (a crease running the full page
+ * height). Both are searched across the middle of the quad, sampled in the
+ * quad's own (u, v) coordinates so rotation and perspective do not matter.
+ *
+ * A single landscape page can show either just as well: a table rule, a
+ * chart or a photo in its middle. So a valley must be wide and darken
+ * gradually towards its bottom, a fold must show the light and dark facets
+ * of a crease on paper, and the two halves must look like two pages of one
+ * book: similar widths, the same paper and comparable amounts of ink.
+ */
+
+import { distance } from './quadGeometry.js';
+
+/**
+ * Find the gutter of a quad that looks like a two-page spread
+ * @param {{data: Uint8ClampedArray, width: number, height: number}} imageData - RGBA pixels
+ * @param {Array<{x: number, y: number}>} points - Ordered quad (TL, TR, BR, BL)
+ * @param {Object} options - { minSpreadAspect, searchFrom, searchTo, minValleyDepth,
+ *   minValleyWidth, minRampShare, minFoldSupport, minPageRatio, maxPaperDifference,
+ *   maxInkDifference }
+ *   minValleyWidth is the valley's width at half depth as a share of the
+ *   quad's width; minRampShare the least span, on either side, of the rise
+ *   from 20% to 80% of the depth, relative to the distance from the bottom
+ *   to half depth; minPageRatio the narrower page's width over the wider
+ *   one's; maxPaperDifference the grey levels the pages' paper may differ
+ *   by and maxInkDifference the difference of their ink shares
+ * @returns {{top: {x: number, y: number}, bottom: {x: number, y: number}, method: string, strength: number}|null}
+ *   Gutter end points on the top and bottom sides, or null when the quad is
+ *   not wide enough or shows no gutter
+ */
+export function findGutter(imageData, points, options = {}) {
+  const {
+    minSpreadAspect = 1.15,
+    searchFrom = 0.35,
+    searchTo = 0.65,
+    minValleyDepth = 12,
+    minValleyWidth = 0.02,
+    minRampShare = 0.4,
+    minFoldSupport = 0.8,
+    minPageRatio = 0.6,
+    maxPaperDifference = 24,
+    maxInkDifference = 0.3,
+  } = options;
+
+  if (!isSpreadShaped(points, minSpreadAspect)) return null;
+  const [tl, tr, br, bl] = points;
+  const quadWidth = (distance(tl, tr) + distance(bl, br)) / 2;
+  const quadHeight = (distance(tl, bl) + distance(tr, br)) / 2;
+
+  const columns = Math.max(20, Math.min(400, Math.round(quadWidth * (searchTo - searchFrom))));
+  const rows = Math.max(20, Math.min(200, Math.round(quadHeight / 2)));
+  const uAt = (k) => searchFrom + ((searchTo - searchFrom) * k) / (columns - 1);
+  const du = 1.5 / quadWidth;
+
+  const sampleGray = (u, v) => {
+    const p = quadPoint(points, u, v);
+    const x = Math.min(imageData.width - 1, Math.max(0, Math.round(p.x)));
+    const y = Math.min(imageData.height - 1, Math.max(0, Math.round(p.y)));
+    const i = (y * imageData.width + x) * 4;
+    return 0.299 * imageData.data[i] + 0.587 * imageData.data[i + 1] + 0.114 * imageData.data[i + 2];
+  };
+
+  // Top and bottom halves separately, so a slanted gutter can be followed
+  const halves = [[0.05, 0.5], [0.5, 0.95]].map(([v0, v1]) => {
+    const intensity = new Float64Array(columns);
+    const fold = new Float64Array(columns);
+    const count = Math.round(rows / 2);
+    const column = new Float64Array(count);
+
+    for (let k = 0; k < columns; k++) {
+      const u = uAt(k);
+      let crossings = 0;
+      for (let r = 0; r < count; r++) {
+        const v = v0 + ((v1 - v0) * (r + 0.5)) / count;
+        column[r] = sampleGray(u, v);
+        if (Math.abs(sampleGray(u + du, v) - sampleGray(u - du, v)) > minValleyDepth) crossings++;
+      }
+      // The upper quartile sees the paper between text lines, even dense
+      // ones; the spine shadow darkens the paper itself
+      intensity[k] = column.sort()[Math.floor(count * 0.75)];
+      fold[k] = crossings / count;
+    }
+
+    return { intensity, fold };
+  });
+
+  const window = Math.max(1, Math.round(columns / 40));
+  const smooth = halves.map((h) => boxSmooth(h.intensity, window));
+  const combined = smooth[0].map((value, k) => (value + smooth[1][k]) / 2);
+  // The shading is followed unsmoothed, where a thin stroke stays thin
+  const raw = halves[0].intensity.map((value, k) => (value + halves[1].intensity[k]) / 2);
+  const columnWidth = (searchTo - searchFrom) / (columns - 1);
+  const sheet = pageContent(sampleGray, 0.05, 0.95);
+
+  // Valley: darker than the brightest column on both sides of it
+  const valley = deepestValley(combined);
+  let method = null;
+  let strength = 0;
+  let centre = 0;
+  let perHalf;
+
+  if (valley.depth >= minValleyDepth && isSpineShadow(raw, valley.index, {
+    radius: window,
+    columnWidth,
+    paper: sheet.paper,
+    minWidth: minValleyWidth,
+    minRampShare,
+  })) {
+    method = 'valley';
+    strength = valley.depth;
+    centre = valley.index;
+    perHalf = smooth.map((profile) => argBest(profile, centre, Math.round(columns * 0.1), (a, b) => a < b));
+  } else {
+    // Fold: a crease crosses almost every sampled row; text lines do not
+    const support = halves[0].fold.map((value, k) => (value + halves[1].fold[k]) / 2);
+    centre = argBest(support, Math.floor(columns / 2), columns, (a, b) => a > b);
+    if (support[centre] < minFoldSupport) return null;
+    const levelAt = (u) => columnMedian(sampleGray, u, rows);
+    if (!isCrease(levelAt, uAt(centre), 1 / quadWidth, columnWidth, sheet.paper, minValleyDepth)) return null;
+    method = 'fold';
+    strength = support[centre];
+    perHalf = halves.map((h) => argBest(h.fold, centre, Math.round(columns * 0.1), (a, b) => a > b));
+  }
+
+  const gutterU = (uAt(perHalf[0]) + uAt(perHalf[1])) / 2;
+  if (Math.min(gutterU, 1 - gutterU) / Math.max(gutterU, 1 - gutterU) < minPageRatio) return null;
+  // The shading next to the gutter is left out
+  const left = pageContent(sampleGray, 0.05, gutterU - 0.08);
+  const right = pageContent(sampleGray, gutterU + 0.08, 0.95);
+  if (Math.abs(left.paper - right.paper) > maxPaperDifference) return null;
+  if (Math.abs(left.ink - right.ink) > maxInkDifference) return null;
+
+  return {
+    top: quadPoint(points, uAt(perHalf[0]), 0),
+    bottom: quadPoint(points, uAt(perHalf[1]), 1),
+    method,
+    strength,
+  };
+}
+
+/**
+ * Whether an ordered quad is wide enough to be a two-page spread
+ */
+export function isSpreadShaped(points, minSpreadAspect = 1.15) {
+  const [tl, tr, br, bl] = points;
+  const quadWidth = (distance(tl, tr) + distance(bl, br)) / 2;
+  const quadHeight = (distance(tl, bl) + distance(tr, br)) / 2;
+  return quadHeight > 0 && quadWidth / quadHeight >= minSpreadAspect;
+}
+
+/**
+ * Bilinear point inside an ordered quad
+ */
+export function quadPoint(points, u, v) {
+  const [tl, tr, br, bl] = points;
+  const topX = tl.x + (tr.x - tl.x) * u;
+  const topY = tl.y + (tr.y - tl.y) * u;
+  const bottomX = bl.x + (br.x - bl.x) * u;
+  const bottomY = bl.y + (br.y - bl.y) * u;
+  return { x: topX + (bottomX - topX) * v, y: topY + (bottomY - topY) * v };
+}
+
+/**
+ * Whether a valley looks like the shadow of a spine: darkening the paper
+ * over a wide band, steadily and gradually on both sides, instead of within
+ * a few pixels (a printed rule), in a step (the edges of a chart or photo)
+ * or in bands, or lying within a figure that is darker than the paper
+ * @param {Float64Array} profile - Column paper levels, unsmoothed
+ * @param {number} index - Valley column found on the smoothed profile
+ * @param {Object} options - { radius, columnWidth, paper, minWidth, minRampShare }
+ *   radius is the columns around index the bottom is looked for in;
+ *   columnWidth the column spacing as a share of the quad's width; paper
+ *   the sheet's paper level
+ */
+function isSpineShadow(profile, index, options) {
+  const { radius, columnWidth, paper, minWidth, minRampShare } = options;
+  const bottom = argBest(profile, index, radius, (a, b) => a < b);
+  let leftMax = 0;
+  let rightMax = 0;
+  for (let k = 0; k < bottom; k++) leftMax = Math.max(leftMax, profile[k]);
+  for (let k = bottom + 1; k < profile.length; k++) rightMax = Math.max(rightMax, profile[k]);
+  const rim = Math.min(leftMax, rightMax);
+  const depth = rim - profile[bottom];
+  // A wide shadow need not fade out within the searched columns
+  if (depth <= 0 || depth < (paper - profile[bottom]) * 0.7) return false;
+
+  // Columns from the bottom to 20%, 50% and 80% of the way back up, which
+  // must neither turn dark again nor jump up on the way
+  const flank = (step) => {
+    const reach = [null, null, null];
+    let highest = 0;
+    let previous = 0;
+    for (let k = bottom; k >= 0 && k < profile.length; k += step) {
+      const rise = (profile[k] - profile[bottom]) / depth;
+      if (rise < highest - 0.2 || rise - previous > 0.3) return null;
+      highest = Math.max(highest, rise);
+      previous = rise;
+      [0.2, 0.5, 0.8].forEach((level, i) => {
+        if (reach[i] === null && rise >= level) reach[i] = Math.abs(k - bottom);
+      });
+      if (reach[2] !== null) return { half: reach[1], ramp: reach[2] - reach[0] };
+    }
+    return null;
+  };
+  const sides = [flank(-1), flank(1)];
+  if (sides.some((side) => !side)) return false;
+
+  const width = (sides[0].half + sides[1].half) * columnWidth;
+  return width >= minWidth && sides.every((side) => side.ramp >= side.half * minRampShare);
+}
+
+/**
+ * Whether a fold line shows a crease, a light and a dark facet side by side
+ * with paper around them; a printed stroke is dark only, and an edge in a
+ * chart or photo has no paper on both sides
+ * @param {Function} levelAt - (u) => median intensity down the column at u
+ * @param {number} u - Fold column
+ * @param {number} pixel - One pixel as a share of the quad's width
+ * @param {number} columnWidth - Column spacing, same units
+ * @param {number} paper - Paper intensity
+ * @param {number} minContrast - Grey levels the paper around and the facets need
+ */
+function isCrease(levelAt, u, pixel, columnWidth, paper, minContrast) {
+  // Fold support spreads over the 1.5 pixels its differences span, and
+  // sampled columns can be more than a pixel apart: cover both
+  const reach = Math.ceil(columnWidth / pixel) + 2;
+  const centre = [];
+  for (let d = -reach; d <= reach; d++) centre.push(levelAt(u + d * pixel));
+  const left = (levelAt(u - (reach + 3) * pixel) + levelAt(u - (reach + 4) * pixel)) / 2;
+  const right = (levelAt(u + (reach + 3) * pixel) + levelAt(u + (reach + 4) * pixel)) / 2;
+  if (Math.min(left, right) < paper - minContrast) return false;
+
+  const base = (left + right) / 2;
+  return Math.max(...centre) - base >= minContrast / 2 && base - Math.min(...centre) >= minContrast / 2;
+}
+
+/**
+ * Median intensity down the column at u, over the rows sampled for the gutter
+ */
+function columnMedian(sampleGray, u, rows) {
+  const values = new Float64Array(rows);
+  for (let r = 0; r < rows; r++) values[r] = sampleGray(u, 0.05 + (0.9 * (r + 0.5)) / rows);
+  return values.sort()[Math.floor(rows / 2)];
+}
+
+/**
+ * Paper level (upper quartile of the intensities) and the share of ink,
+ * samples well below it, between two u positions of the quad
+ */
+function pageContent(sampleGray, u0, u1) {
+  const grid = 24;
+  const values = new Float64Array(grid * grid);
+  for (let i = 0; i < grid; i++) {
+    for (let j = 0; j < grid; j++) {
+      values[i * grid + j] = sampleGray(u0 + ((u1 - u0) * (i + 0.5)) / grid, 0.05 + (0.9 * (j + 0.5)) / grid);
+    }
+  }
+  values.sort();
+  const paper = values[Math.floor(values.length * 0.75)];
+  let ink = 0;
+  for (const value of values) {
+    if (value < paper - 40) ink++;
+  }
+  return { paper, ink: ink / values.length };
+}
+
+function deepestValley(profile) {
+  const n = profile.length;
+  const leftMax = new Float64Array(n);
+  const rightMax = new Float64Array(n);
+
+  leftMax[0] = profile[0];
+  for (let k = 1; k < n; k++) leftMax[k] = Math.max(leftMax[k - 1], profile[k]);
+  rightMax[n - 1] = profile[n - 1];
+  for (let k = n - 2; k >= 0; k--) rightMax[k] = Math.max(rightMax[k + 1], profile[k]);
+
+  let best = { index: 0, depth: 0 };
+  for (let k = 1; k < n - 1; k++) {
+    const depth = Math.min(leftMax[k], rightMax[k]) - profile[k];
+    if (depth > best.depth) best = { index: k, depth };
+  }
+  return best;
+}
+
+/**
+ * Index of the best value within `radius` of `centre`
+ */
+function argBest(values, centre, radius, isBetter) {
+  let best = Math.min(values.length - 1, Math.max(0, centre));
+  const from = Math.max(0, centre - radius);
+  const to = Math.min(values.length - 1, centre + radius);
+  for (let k = from; k <= to; k++) {
+    if (isBetter(values[k], values[best])) best = k;
+  }
+  return best;
+}
+
+function boxSmooth(values, radius) {
+  const result = new Float64Array(values.length);
+  for (let k = 0; k < values.length; k++) {
+    let sum = 0, n = 0;
+    for (let j = Math.max(0, k - radius); j <= Math.min(values.length - 1, k + radius); j++) {
+      sum += values[j];
+      n++;
+    }
+    result[k] = sum / n;
+  }
+  return result;
+}
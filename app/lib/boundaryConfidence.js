@@ -0,0 +1,204 @@
+/**
+ * Boundary Confidence - How much to trust a detected boundary
+ *
+ * Signals (each in [0, 1]):
+ * - edgeSupport: share of each side backed by a matching image gradient
+ * - cornerRegularity: how close the corner angles are to right angles
+ * - rectangularity: whether the quad can be the projection of a rectangle
+ * - contrast: intensity difference between just inside and just outside
+ */
+
+import { cornerAngles, vanishingPoints, isAtInfinity } from './quadGeometry.js';
+
+const SIGNAL_WEIGHTS = {
+  edgeSupport: 0.35,
+  cornerRegularity: 0.2,
+  rectangularity: 0.2,
+  contrast: 0.25,
+};
+
+/**
+ * Score a boundary against the image it was detected in
+ * @param {Object} boundary - Boundary with ordered points
+ * @param {{gray: Uint8Array, gradients: {gx: Int16Array, gy: Int16Array}}} maps - Image maps
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {Object} options - { minGradient, contrastScale, frameSides }
+ *   frameSides are indices of sides lying along the image frame; they have
+ *   no edge to find and are left out of edgeSupport (their sideSupport is null)
+ * @returns {{confidence: number, breakdown: Object}}
+ */
+export function scoreBoundary(boundary, maps, width, height, options = {}) {
+  const {
+    minGradient = 40,
+    contrastScale = 60,
+    frameSides = [],
+  } = options;
+
+  const { points } = boundary;
+  const isQuad = points.length === 4;
+
+  const sideSupport = points.map((p, i) =>
+    frameSides.includes(i)
+      ? null
+      : measureSideSupport(maps.gradients, width, height, p, points[(i + 1) % points.length], minGradient)
+  );
+  const measured = sideSupport.filter((s) => s !== null);
+
+  const breakdown = {
+    edgeSupport: measured.length > 0 ? measured.reduce((sum, s) => sum + s, 0) / measured.length : 0,
+    cornerRegularity: isQuad ? measureCornerRegularity(points) : 0,
+    rectangularity: isQuad ? measureRectangularity(points, width, height) : 0,
+    contrast: Math.min(1, measureContrast(maps.gray, width, height, points) / contrastScale),
+    sideSupport,
+  };
+
+  let confidence = 0;
+  for (const [signal, weight] of Object.entries(SIGNAL_WEIGHTS)) {
+    confidence += breakdown[signal] * weight;
+  }
+
+  return { confidence, breakdown };
+}
+
+/**
+ * Fraction of samples along a side with a strong gradient perpendicular to it
+ * within 3px; the 5% next to each corner is skipped
+ */
+function measureSideSupport(gradients, width, height, a, b, minGradient) {
+  const { gx, gy } = gradients;
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const length = Math.sqrt(dx * dx + dy * dy);
+  if (length < 1) return 0;
+
+  const nx = -dy / length;
+  const ny = dx / length;
+  const steps = Math.max(4, Math.floor(length / 2));
+  let hits = 0;
+  let samples = 0;
+
+  for (let s = 0; s <= steps; s++) {
+    const t = 0.05 + (0.9 * s) / steps;
+    const cx = a.x + dx * t;
+    const cy = a.y + dy * t;
+    samples++;
+
+    for (let o = -3; o <= 3; o++) {
+      const x = Math.round(cx + nx * o);
+      const y = Math.round(cy + ny * o);
+      if (x < 0 || x >= width || y < 0 || y >= height) continue;
+
+      const i = y * width + x;
+      const mag = Math.sqrt(gx[i] * gx[i] + gy[i] * gy[i]);
+      if (mag < minGradient) continue;
+
+      // Gradient must point across the side, not along it
+      if (Math.abs(gx[i] * nx + gy[i] * ny) / mag > 0.7) {
+        hits++;
+        break;
+      }
+    }
+  }
+
+  return samples > 0 ? hits / samples : 0;
+}
+
+/**
+ * 1 for four right angles, falling to 0 at a mean deviation of 45 degrees
+ */
+function measureCornerRegularity(points) {
+  const angles = cornerAngles(points);
+  const meanDeviation = angles.reduce((sum, a) => sum + Math.abs(a - 90), 0) / angles.length;
+  return Math.max(0, 1 - meanDeviation / 45);
+}
+
+/**
+ * A projected rectangle has vanishing points whose directions from the
+ * principal point (image centre) are at least 90 degrees apart, and a
+ * focal length implied by them that a camera can actually have.
+ */
+function measureRectangularity(points, width, height) {
+  const diag = Math.sqrt(width * width + height * height);
+  const cx = width / 2;
+  const cy = height / 2;
+  const { horizontal, vertical } = vanishingPoints(points);
+  const hInf = isAtInfinity(horizontal, diag);
+  const vInf = isAtInfinity(vertical, diag);
+
+  const directionOf = (vp, isInf) => {
+    if (isInf) return { x: vp[0], y: vp[1] };
+    return { x: vp[0] / vp[2] - cx, y: vp[1] / vp[2] - cy };
+  };
+
+  const d1 = directionOf(horizontal, hInf);
+  const d2 = directionOf(vertical, vInf);
+  const len = Math.sqrt(d1.x * d1.x + d1.y * d1.y) * Math.sqrt(d2.x * d2.x + d2.y * d2.y);
+  if (len === 0) return 0;
+
+  const dot = d1.x * d2.x + d1.y * d2.y;
+  const cos = dot / len;
+
+  // Parallel sides in either direction: the other direction must be orthogonal
+  if (hInf || vInf) {
+    return Math.max(0, 1 - Math.abs(cos) * 2);
+  }
+
+  // Both vanishing points finite: f^2 = -(v1 - c).(v2 - c) must be positive
+  if (cos > 0) return Math.max(0, 1 - cos * 2);
+
+  const focal = Math.sqrt(-dot);
+  if (focal < diag * 0.3) return focal / (diag * 0.3);
+  return 1;
+}
+
+/**
+ * Difference of mean intensity between bands 3-8px inside and outside the sides
+ */
+function measureContrast(gray, width, height, points) {
+  const n = points.length;
+
+  // Orientation decides which normal points inwards
+  let signedArea = 0;
+  for (let i = 0; i < n; i++) {
+    const j = (i + 1) % n;
+    signedArea += points[i].x * points[j].y - points[j].x * points[i].y;
+  }
+  const inward = signedArea > 0 ? 1 : -1;
+
+  let inside = 0, outside = 0, count = 0;
+
+  for (let i = 0; i < n; i++) {
+    const a = points[i];
+    const b = points[(i + 1) % n];
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const length = Math.sqrt(dx * dx + dy * dy);
+    if (length < 1) continue;
+
+    const nx = (-dy / length) * inward;
+    const ny = (dx / length) * inward;
+    const steps = Math.max(4, Math.floor(length / 4));
+
+    for (let s = 0; s <= steps; s++) {
+      const t = 0.1 + (0.8 * s) / steps;
+      const px = a.x + dx * t;
+      const py = a.y + dy * t;
+
+      for (let o = 3; o <= 8; o++) {
+        const ix = Math.round(px + nx * o);
+        const iy = Math.round(py + ny * o);
+        const ox = Math.round(px - nx * o);
+        const oy = Math.round(py - ny * o);
+        if (ix < 0 || ix >= width || iy < 0 || iy >= height) continue;
+        if (ox < 0 || ox >= width || oy < 0 || oy >= height) continue;
+
+        inside += gray[iy * width + ix];
+        outside += gray[oy * width + ox];
+        count++;
+      }
+    }
+  }
+
+  return count > 0 ? Math.abs(inside - outside) / count : 0;
+}
@@ -0,0 +1,259 @@
+/**
+ * Capture quality
+ * Checks a detected document for what makes a capture unusable even when
+ * the outline is right:
+ * - sharpness: variance of the Laplacian, which drops as focus or motion
+ *   blur smooths out text and other fine detail
+ * - glare: compact blobs of clipped, colourless highlights where a light
+ *   reflects off glossy paper or a card
+ * - exposure: mean brightness (underexposure) and the share of clipped
+ *   highlights (a washed-out page)
+ * - resolution: pixels per inch along the document's sides, from its
+ *   paper size
+ */
+
+import { PAPER_SIZES, snapToPaperSize } from './physicalAspect.js';
+import { distance } from './quadGeometry.js';
+
+// ID-1 cards (bank cards, ID cards) in millimetres
+const ID_1 = { name: 'ID-1', width: 54, height: 85.6 };
+const MM_PER_INCH = 25.4;
+
+/**
+ * Verdict thresholds per check, each a { warn, fail } pair:
+ * sharpness, brightness and ppi are minimums, glare and clipping maximums
+ */
+export const DEFAULT_QUALITY_THRESHOLDS = {
+  sharpness: { warn: 100, fail: 30 },
+  glare: { warn: 0.005, fail: 0.03 },
+  brightness: { warn: 100, fail: 60 },
+  clipping: { warn: 0.1, fail: 0.3 },
+  ppi: { warn: 200, fail: 120 },
+};
+
+const MINIMUM_CHECKS = ['sharpness', 'brightness', 'ppi'];
+const VERDICT_RANK = { pass: 0, warn: 1, fail: 2 };
+
+/**
+ * Assess the capture quality of one document
+ * @param {{data: Uint8ClampedArray, width: number, height: number}} imageData - RGBA pixels
+ * @param {Array<{x: number, y: number}>} points - Ordered quad (TL, TR, BR, BL)
+ * @param {Object} options - { aspectRatio, paperSize, thresholds, maxSamples, inset }
+ *   aspectRatio is the document's width:height; paperSize a PAPER_SIZES
+ *   name or 'ID-1', otherwise guessed from the aspect ratio; thresholds
+ *   override DEFAULT_QUALITY_THRESHOLDS per check; maxSamples caps the
+ *   pixels measured and inset is the share of the quad left out along its
+ *   border, where the document edge would count as detail
+ * @returns {{verdict: string, checks: Object}} checks holds
+ *   { value, verdict } for sharpness, glare (plus blobs), brightness,
+ *   clipping and ppi (plus paperSize); verdicts are 'pass', 'warn' or
+ *   'fail', null for a ppi without a known paper size; verdict is the worst
+ */
+export function assessCaptureQuality(imageData, points, options = {}) {
+  const {
+    aspectRatio = null,
+    paperSize = null,
+    thresholds: overrides = {},
+    maxSamples = 1000000,
+    inset = 0.04,
+  } = options;
+  const thresholds = {};
+  for (const [name, pair] of Object.entries(DEFAULT_QUALITY_THRESHOLDS)) {
+    thresholds[name] = { ...pair, ...overrides[name] };
+  }
+
+  const samples = sampleRegion(imageData, shrinkQuad(points, inset), maxSamples);
+  const values = {
+    sharpness: samples.count > 0 ? samples.laplacianVariance : 0,
+    glare: samples.count > 0 ? samples.glareArea / samples.count : 0,
+    brightness: samples.count > 0 ? samples.meanLuminance : 0,
+    clipping: samples.count > 0 ? samples.clipped / samples.count : 0,
+  };
+
+  const checks = {};
+  for (const [name, value] of Object.entries(values)) {
+    checks[name] = { value, verdict: judge(name, value, thresholds[name]) };
+  }
+  checks.glare.blobs = samples.glareBlobs;
+
+  const paper = paperDimensions(paperSize, aspectRatio);
+  const ppi = paper ? pixelsPerInch(points, paper, aspectRatio) : null;
+  checks.ppi = {
+    value: ppi,
+    paperSize: paper ? paper.name : null,
+    verdict: ppi === null ? null : judge('ppi', ppi, thresholds.ppi),
+  };
+
+  const verdict = Object.values(checks)
+    .map((check) => check.verdict)
+    .filter(Boolean)
+    .reduce((worst, v) => (VERDICT_RANK[v] > VERDICT_RANK[worst] ? v : worst), 'pass');
+
+  return { verdict, checks };
+}
+
+function judge(name, value, { warn, fail }) {
+  if (MINIMUM_CHECKS.includes(name)) {
+    return value < fail ? 'fail' : value < warn ? 'warn' : 'pass';
+  }
+  return value > fail ? 'fail' : value > warn ? 'warn' : 'pass';
+}
+
+/**
+ * Measurements over a grid of pixels inside a convex quad
+ * Grid points are spread out on large documents, but the Laplacian at each
+ * uses its direct neighbours, so sharpness is that of the full resolution.
+ */
+function sampleRegion(imageData, quad, maxSamples) {
+  const { data, width, height } = imageData;
+  const xs = quad.map((p) => p.x);
+  const ys = quad.map((p) => p.y);
+  const left = Math.max(1, Math.ceil(Math.min(...xs)));
+  const right = Math.min(width - 2, Math.floor(Math.max(...xs)));
+  const top = Math.max(1, Math.ceil(Math.min(...ys)));
+  const bottom = Math.min(height - 2, Math.floor(Math.max(...ys)));
+  const empty = { count: 0, laplacianVariance: 0, meanLuminance: 0, clipped: 0, glareArea: 0, glareBlobs: 0 };
+  if (right <= left || bottom <= top) return empty;
+
+  const step = Math.max(1, Math.ceil(Math.sqrt(((right - left + 1) * (bottom - top + 1)) / maxSamples)));
+  const gw = Math.floor((right - left) / step) + 1;
+  const gh = Math.floor((bottom - top) / step) + 1;
+  // 0 outside the quad, 1 inside, 2 glare
+  const grid = new Uint8Array(gw * gh);
+  const luminance = (i) => 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+
+  let count = 0;
+  let sum = 0;
+  let lapSum = 0;
+  let lapSquares = 0;
+  let clipped = 0;
+
+  for (let gy = 0; gy < gh; gy++) {
+    const y = top + gy * step;
+    for (let gx = 0; gx < gw; gx++) {
+      const x = left + gx * step;
+      if (!insideQuad(quad, x, y)) continue;
+
+      const i = (y * width + x) * 4;
+      const value = luminance(i);
+      const laplacian = luminance(i - 4) + luminance(i + 4) +
+        luminance(i - width * 4) + luminance(i + width * 4) - 4 * value;
+      count++;
+      sum += value;
+      lapSum += laplacian;
+      lapSquares += laplacian * laplacian;
+
+      if (value >= 250) clipped++;
+      // Specular highlights are white whatever the paper's colour
+      const chroma = Math.max(data[i], data[i + 1], data[i + 2]) - Math.min(data[i], data[i + 1], data[i + 2]);
+      grid[gy * gw + gx] = value >= 245 && chroma <= 25 ? 2 : 1;
+    }
+  }
+  if (count === 0) return empty;
+
+  const { area, blobs } = glareBlobs(grid, gw, gh, count);
+  const lapMean = lapSum / count;
+  return {
+    count,
+    laplacianVariance: lapSquares / count - lapMean * lapMean,
+    meanLuminance: sum / count,
+    clipped,
+    glareArea: area,
+    glareBlobs: blobs,
+  };
+}
+
+/**
+ * Connected highlight regions that count as glare
+ * Specks are noise; a highlight covering much of the document is
+ * overexposure (or white paper in a bright scan), left to the clipping check.
+ */
+function glareBlobs(grid, width, height, count) {
+  const minArea = Math.max(4, count * 0.0005);
+  const maxArea = count * 0.25;
+  const stack = new Int32Array(width * height);
+  let area = 0;
+  let blobs = 0;
+
+  for (let start = 0; start < grid.length; start++) {
+    if (grid[start] !== 2) continue;
+    grid[start] = 3;
+    let top = 0;
+    let size = 0;
+    stack[top++] = start;
+
+    while (top > 0) {
+      const idx = stack[--top];
+      size++;
+      const x = idx % width;
+      const neighbors = [
+        x > 0 ? idx - 1 : -1,
+        x < width - 1 ? idx + 1 : -1,
+        idx - width,
+        idx + width,
+      ];
+      for (const n of neighbors) {
+        if (n < 0 || n >= grid.length || grid[n] !== 2) continue;
+        grid[n] = 3;
+        stack[top++] = n;
+      }
+    }
+
+    if (size >= minArea && size <= maxArea) {
+      area += size;
+      blobs++;
+    }
+  }
+
+  return { area, blobs };
+}
+
+/**
+ * Physical size of the document in millimetres, portrait
+ */
+function paperDimensions(paperSize, aspectRatio) {
+  const sizes = [...PAPER_SIZES, ID_1];
+  let name = paperSize;
+  if (!name && aspectRatio) {
+    const snapped = snapToPaperSize(aspectRatio, { sizes });
+    name = snapped ? snapped.paperSize : null;
+  }
+  return sizes.find((size) => size.name === name) || null;
+}
+
+/**
+ * Resolution along the document's shorter image of each side pair: the
+ * far end of a tilted document is what limits legibility
+ */
+function pixelsPerInch(points, paper, aspectRatio) {
+  const [tl, tr, br, bl] = points;
+  const across = Math.min(distance(tl, tr), distance(bl, br));
+  const down = Math.min(distance(tl, bl), distance(tr, br));
+  const landscape = aspectRatio ? aspectRatio > 1 : across > down;
+  const long = Math.max(paper.width, paper.height) / MM_PER_INCH;
+  const short = Math.min(paper.width, paper.height) / MM_PER_INCH;
+
+  return Math.min(across / (landscape ? long : short), down / (landscape ? short : long));
+}
+
+/**
+ * Quad moved in towards its centroid by a share of its size
+ */
+function shrinkQuad(points, amount) {
+  const cx = points.reduce((sum, p) => sum + p.x, 0) / points.length;
+  const cy = points.reduce((sum, p) => sum + p.y, 0) / points.length;
+  return points.map((p) => ({ x: p.x + (cx - p.x) * amount * 2, y: p.y + (cy - p.y) * amount * 2 }));
+}
+
+function insideQuad(quad, x, y) {
+  let sign = 0;
+  for (let i = 0; i < quad.length; i++) {
+    const a = quad[i];
+    const b = quad[(i + 1) % quad.length];
+    const cross = (b.x - a.x) * (y - a.y) - (b.y - a.y) * (x - a.x);
+    if (cross === 0) continue;
+    if (sign === 0) sign = Math.sign(cross);
+    else if (Math.sign(cross) !== sign) return false;
+  }
+  return true;
+}
@@ -0,0 +1,153 @@
+/**
+ * Colour foreground segmentation
+ * Separates documents from the surface they lie on by colour rather than
+ * luminance: the background colour is estimated from samples along the
+ * image border and every pixel is scored by its distance to it.
+ * Helps where page and desk have similar brightness but different hue
+ * or saturation (white paper on light wood, beige forms on grey tables).
+ */
+
+/**
+ * Distance of every pixel to the estimated background colour
+ * @param {Uint8ClampedArray} pixels - RGBA pixels
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {Object} options - { space: 'lab' | 'hsv', borderWidth }
+ * @returns {{distance: Uint8Array, background: number[], spread: number}}
+ *   Distances clamped to 0-255, the background colour in the chosen space and
+ *   the median distance of the border samples to it
+ */
+export function colorDistanceMap(pixels, width, height, options = {}) {
+  const {
+    space = 'lab',
+    borderWidth = Math.max(2, Math.round(Math.min(width, height) * 0.02)),
+  } = options;
+
+  const convert = space === 'hsv' ? rgbToHsvCone : rgbToLab;
+  const colors = new Float32Array(width * height * 3);
+  const color = [0, 0, 0];
+
+  for (let i = 0; i < width * height; i++) {
+    convert(pixels[i * 4], pixels[i * 4 + 1], pixels[i * 4 + 2], color);
+    colors[i * 3] = color[0];
+    colors[i * 3 + 1] = color[1];
+    colors[i * 3 + 2] = color[2];
+  }
+
+  const border = borderSampleIndices(width, height, borderWidth);
+
+  // Channel-wise median is robust to a document touching the frame
+  const background = [0, 1, 2].map((c) =>
+    median(border.map((i) => colors[i * 3 + c]))
+  );
+
+  const distanceAt = (i) => {
+    const d0 = colors[i * 3] - background[0];
+    const d1 = colors[i * 3 + 1] - background[1];
+    const d2 = colors[i * 3 + 2] - background[2];
+    return Math.sqrt(d0 * d0 + d1 * d1 + d2 * d2);
+  };
+
+  const distance = new Uint8Array(width * height);
+  for (let i = 0; i < distance.length; i++) {
+    distance[i] = Math.min(255, Math.round(distanceAt(i)));
+  }
+
+  const spread = median(border.map(distanceAt));
+
+  return { distance, background, spread };
+}
+
+/**
+ * Binary foreground mask from a (smoothed) distance map
+ * Textured surfaces raise the threshold: border samples must mostly
+ * fall below it.
+ * @param {Uint8Array} distance - Distance map from colorDistanceMap
+ * @param {number} spread - Median border distance from colorDistanceMap
+ * @param {number} threshold - Minimum distance counted as foreground
+ * @returns {Uint8Array} 255 for foreground, 0 for background
+ */
+export function colorForegroundMask(distance, spread, threshold) {
+  const cutoff = Math.max(threshold, spread * 3);
+  const mask = new Uint8Array(distance.length);
+  for (let i = 0; i < distance.length; i++) {
+    mask[i] = distance[i] > cutoff ? 255 : 0;
+  }
+  return mask;
+}
+
+/**
+ * Indices of every pixel within borderWidth of the frame
+ */
+function borderSampleIndices(width, height, borderWidth) {
+  const indices = [];
+  const bw = Math.min(borderWidth, Math.floor(width / 2), Math.floor(height / 2));
+
+  for (let y = 0; y < height; y++) {
+    const inBand = y < bw || y >= height - bw;
+    for (let x = 0; x < width; x++) {
+      if (inBand || x < bw || x >= width - bw) indices.push(y * width + x);
+    }
+  }
+
+  return indices;
+}
+
+function median(values) {
+  if (values.length === 0) return 0;
+  const sorted = values.sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+/**
+ * sRGB to CIE L*a*b* (D65); Euclidean distance is the CIE76 colour difference
+ */
+function rgbToLab(r, g, b, out) {
+  const lr = srgbToLinear(r);
+  const lg = srgbToLinear(g);
+  const lb = srgbToLinear(b);
+
+  const x = (0.4124 * lr + 0.3576 * lg + 0.1805 * lb) / 0.95047;
+  const y = 0.2126 * lr + 0.7152 * lg + 0.0722 * lb;
+  const z = (0.0193 * lr + 0.1192 * lg + 0.9505 * lb) / 1.08883;
+
+  const fx = labF(x);
+  const fy = labF(y);
+  const fz = labF(z);
+
+  out[0] = 116 * fy - 16;
+  out[1] = 500 * (fx - fy);
+  out[2] = 200 * (fy - fz);
+}
+
+function srgbToLinear(c) {
+  const v = c / 255;
+  return v <= 0.04045 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
+}
+
+function labF(t) {
+  return t > 0.008856 ? Math.cbrt(t) : 7.787 * t + 16 / 116;
+}
+
+/**
+ * HSV mapped onto a cone (scaled 0-100) so that hue wraps around and
+ * carries no weight for unsaturated or dark pixels
+ */
+function rgbToHsvCone(r, g, b, out) {
+  const max = Math.max(r, g, b);
+  const min = Math.min(r, g, b);
+  const v = max / 255;
+  const chroma = (max - min) / 255;
+
+  let h = 0;
+  if (chroma > 0) {
+    if (max === r) h = ((g - b) / 255 / chroma) % 6;
+    else if (max === g) h = (b - r) / 255 / chroma + 2;
+    else h = (r - g) / 255 / chroma + 4;
+  }
+  const angle = (h * Math.PI) / 3;
+
+  out[0] = 100 * chroma * Math.cos(angle);
+  out[1] = 100 * chroma * Math.sin(angle);
+  out[2] = 100 * v;
+}
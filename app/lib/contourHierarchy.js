@@ -0,0 +1,167 @@
+/**
+ * Contour hierarchy - Suzuki-Abe border following
+ * Traces every border of a binary image and records how they nest:
+ * outer borders surround foreground regions, hole borders surround the
+ * background enclosed by a region. The image frame acts as the root hole.
+ *
+ * Suzuki & Abe, "Topological structural analysis of digitized binary
+ * images by border following" (1985), algorithm 1.
+ */
+
+// Neighbour offsets in counter-clockwise order (y grows downwards)
+const DX = [1, 1, 0, -1, -1, -1, 0, 1];
+const DY = [0, -1, -1, -1, 0, 1, 1, 1];
+
+/**
+ * Trace all borders of a binary image with their parent/child relations
+ * @param {Uint8Array} data - Binary image (non-zero is foreground)
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {Array<{points: Array<{x: number, y: number}>, isHole: boolean, parent: number, children: number[], depth: number}>}
+ *   Borders in discovery order; parent is an index into the array or -1 for
+ *   borders directly inside the image frame. Outer borders run clockwise on
+ *   screen, hole borders anti-clockwise.
+ */
+export function findContourHierarchy(data, width, height) {
+  // One pixel of background padding keeps every neighbour lookup in bounds
+  const w = width + 2;
+  const h = height + 2;
+  const labels = new Int32Array(w * h);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (data[y * width + x]) labels[(y + 1) * w + x + 1] = 1;
+    }
+  }
+
+  // Border numbers start at 2; number 1 is the frame
+  const borders = [{ isHole: true, parentNbd: 0 }];
+  const contours = [];
+  let nbd = 1;
+
+  for (let y = 1; y < h - 1; y++) {
+    let lnbd = 1;
+
+    for (let x = 1; x < w - 1; x++) {
+      const idx = y * w + x;
+      const value = labels[idx];
+      if (value === 0) continue;
+
+      let isHole;
+      let fromX;
+
+      if (value === 1 && labels[idx - 1] === 0) {
+        isHole = false;
+        fromX = x - 1;
+      } else if (value >= 1 && labels[idx + 1] === 0) {
+        isHole = true;
+        fromX = x + 1;
+        if (value > 1) lnbd = value;
+      } else {
+        if (value !== 1) lnbd = Math.abs(value);
+        continue;
+      }
+
+      nbd++;
+
+      // A hole inside a region (or a region inside a hole) is its child;
+      // otherwise the two are siblings under the same parent
+      const previous = borders[lnbd - 1];
+      const parentNbd = previous.isHole === isHole ? previous.parentNbd : lnbd;
+      borders.push({ isHole, parentNbd });
+
+      const points = followBorder(labels, w, x, y, fromX, y, nbd);
+      contours.push({
+        points,
+        isHole,
+        parent: parentNbd > 1 ? parentNbd - 2 : -1,
+        children: [],
+        depth: 0,
+      });
+
+      if (labels[idx] !== 1) lnbd = Math.abs(labels[idx]);
+    }
+  }
+
+  for (let i = 0; i < contours.length; i++) {
+    const contour = contours[i];
+    if (contour.parent >= 0) {
+      contours[contour.parent].children.push(i);
+      contour.depth = contours[contour.parent].depth + 1;
+    }
+  }
+
+  return contours;
+}
+
+/**
+ * Follow one border starting at (x, y), entering from the 0-pixel (fromX, fromY);
+ * marks it with +/-nbd and returns its pixels in image coordinates
+ */
+function followBorder(labels, w, x, y, fromX, fromY, nbd) {
+  const start = y * w + x;
+  const points = [];
+
+  // Clockwise from the entry pixel for any non-zero neighbour
+  let dir = directionOf(fromX - x, fromY - y);
+  let first = -1;
+  for (let k = 0; k < 8; k++) {
+    const d = (dir - k + 8) % 8;
+    if (labels[start + DY[d] * w + DX[d]] !== 0) {
+      first = d;
+      break;
+    }
+  }
+
+  // Isolated pixel
+  if (first < 0) {
+    labels[start] = -nbd;
+    return [{ x: x - 1, y: y - 1 }];
+  }
+
+  const x1 = x + DX[first];
+  const y1 = y + DY[first];
+  let x2 = x1, y2 = y1;
+  let x3 = x, y3 = y;
+
+  for (;;) {
+    // Counter-clockwise around (x3, y3), starting after the previous pixel
+    dir = directionOf(x2 - x3, y2 - y3);
+    let x4 = x3, y4 = y3;
+    let eastIsZero = false;
+
+    for (let k = 1; k <= 8; k++) {
+      const d = (dir + k) % 8;
+      const nx = x3 + DX[d];
+      const ny = y3 + DY[d];
+      if (labels[ny * w + nx] !== 0) {
+        x4 = nx;
+        y4 = ny;
+        break;
+      }
+      if (d === 0) eastIsZero = true;
+    }
+
+    const i3 = y3 * w + x3;
+    if (eastIsZero) {
+      labels[i3] = -nbd;
+    } else if (labels[i3] === 1) {
+      labels[i3] = nbd;
+    }
+    points.push({ x: x3 - 1, y: y3 - 1 });
+
+    if (x4 === x && y4 === y && x3 === x1 && y3 === y1) break;
+
+    x2 = x3; y2 = y3;
+    x3 = x4; y3 = y4;
+  }
+
+  // Reverse so outer borders run clockwise on screen, starting at (x, y)
+  return [points[0], ...points.slice(1).reverse()];
+}
+
+function directionOf(dx, dy) {
+  for (let d = 0; d < 8; d++) {
+    if (DX[d] === dx && DY[d] === dy) return d;
+  }
+  return 0;
+}
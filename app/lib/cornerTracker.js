@@ -0,0 +1,100 @@
+/**
+ * Corner tracking across video frames
+ * Per-frame detections jitter by a pixel or two and now and then miss a
+ * frame. The tracker smooths the corners with an exponential moving average,
+ * bridges short gaps, and counts how many consecutive frames the document
+ * has held still, which is what triggers an automatic capture.
+ */
+
+import { distance } from './quadGeometry.js';
+
+/**
+ * Create a tracker for one document's corners
+ * @param {Object} options - { smoothing, stableFrames, maxMovement, maxJump, maxMissed }
+ *   smoothing is the weight (0-1) kept from the previous corners;
+ *   stableFrames the consecutive still frames that count as stable;
+ *   maxMovement and maxJump are shares of the frame diagonal: a frame
+ *   moving a corner further than maxMovement breaks the stillness, one
+ *   moving it further than maxJump starts tracking afresh (a different
+ *   document, or the camera swung away); maxMissed is how many frames
+ *   without a detection keep the last corners
+ * @returns {{update: Function, reset: Function}}
+ */
+export function createCornerTracker(options = {}) {
+  const {
+    smoothing = 0.6,
+    stableFrames = 12,
+    maxMovement = 0.015,
+    maxJump = 0.15,
+    maxMissed = 3,
+  } = options;
+
+  let points = null;
+  let stableCount = 0;
+  let missed = 0;
+
+  const state = () => ({
+    points,
+    stableCount,
+    stableFrames,
+    stable: points !== null && stableCount >= stableFrames,
+  });
+
+  /**
+   * Feed the corners detected in one frame
+   * @param {Array<{x: number, y: number}>|null} detected - Ordered quad (TL, TR, BR, BL), null when nothing was found
+   * @param {{width: number, height: number}} frame - Frame size, in the corners' coordinates
+   * @returns {{points: Array|null, stableCount: number, stableFrames: number, stable: boolean}}
+   *   points are the smoothed corners, null while no document is tracked
+   */
+  const update = (detected, frame) => {
+    if (!detected) {
+      stableCount = 0;
+      if (++missed > maxMissed) points = null;
+      return state();
+    }
+    missed = 0;
+
+    const diagonal = Math.sqrt(frame.width * frame.width + frame.height * frame.height);
+    const aligned = points ? alignCorners(detected, points) : null;
+    const movement = aligned
+      ? Math.max(...aligned.map((p, i) => distance(p, points[i]))) / diagonal
+      : Infinity;
+
+    if (movement > maxJump) {
+      points = detected.map((p) => ({ x: p.x, y: p.y }));
+      stableCount = 0;
+      return state();
+    }
+
+    points = points.map((p, i) => ({
+      x: p.x * smoothing + aligned[i].x * (1 - smoothing),
+      y: p.y * smoothing + aligned[i].y * (1 - smoothing),
+    }));
+    stableCount = movement <= maxMovement ? stableCount + 1 : 0;
+    return state();
+  };
+
+  const reset = () => {
+    points = null;
+    stableCount = 0;
+    missed = 0;
+  };
+
+  return { update, reset };
+}
+
+/**
+ * Corners in the cyclic order closest to the tracked ones
+ * A quad turned near 45 degrees can come back with its corner labels
+ * shifted by one from frame to frame.
+ */
+function alignCorners(detected, tracked) {
+  let best = null;
+  for (let shift = 0; shift < 4; shift++) {
+    const rotated = detected.map((_, i) => detected[(i + shift) % 4]);
+    const cost = rotated.reduce((sum, p, i) => sum + distance(p, tracked[i]), 0);
+    if (!best || cost < best.cost) best = { rotated, cost };
+  }
+  return best.rotated;
+}
@@ -0,0 +1,204 @@
+/**
+ * Deskew
+ * Flat page images (rendered PDF pages, scans) have no document boundary to
+ * rectify, but a page fed through a scanner at a slight angle still comes
+ * out skewed. Text lines give the angle away: projected along the lines,
+ * the ink piles up into sharp peaks with empty rows between them; at any
+ * other angle the peaks smear into each other.
+ */
+
+/**
+ * Estimate the skew of the text on a page
+ * @param {{data: Uint8ClampedArray, width: number, height: number}} imageData - RGBA pixels
+ * @param {Object} options - { maxAngle, maxSize, minContrast, maxPoints }
+ *   maxAngle bounds the search in degrees; maxSize caps the long side of the
+ *   image the ink is looked for on; maxPoints the ink pixels projected
+ * @returns {{angle: number, confidence: number}} angle in degrees the text
+ *   lines run clockwise of horizontal (down to the right is positive);
+ *   confidence is 0 when there is no text to go by
+ */
+export function estimateSkew(imageData, options = {}) {
+  const { maxAngle = 10, maxSize = 1200, minContrast = 40, maxPoints = 60000 } = options;
+  const none = { angle: 0, confidence: 0 };
+
+  const ink = findInkPoints(imageData, maxSize, minContrast, maxPoints);
+  if (!ink) return none;
+
+  // Coarse sweep, then a fine one around the best coarse angle
+  const coarse = [];
+  for (let angle = -maxAngle; angle <= maxAngle + 1e-9; angle += 0.5) {
+    coarse.push({ angle, score: alignmentScore(ink, angle) });
+  }
+  const bestCoarse = coarse.reduce((a, b) => (b.score > a.score ? b : a));
+
+  let best = bestCoarse;
+  const fine = [];
+  for (let k = -10; k <= 10; k++) {
+    const angle = bestCoarse.angle + k * 0.05;
+    const entry = { angle, score: alignmentScore(ink, angle) };
+    fine.push(entry);
+    if (entry.score > best.score) best = entry;
+  }
+
+  // Sub-step peak from a parabola through the neighbours
+  const index = fine.indexOf(best);
+  let angle = best.angle;
+  if (index > 0 && index < fine.length - 1) {
+    const prev = fine[index - 1].score;
+    const next = fine[index + 1].score;
+    const curvature = prev - 2 * best.score + next;
+    if (curvature < 0) angle += (0.05 * 0.5 * (prev - next)) / curvature;
+  }
+
+  // Lines give a peak that stands out from the rest of the sweep; pictures
+  // and blank pages score about the same at every angle
+  const mean = coarse.reduce((sum, entry) => sum + entry.score, 0) / coarse.length;
+  const confidence = best.score > 0 ? Math.min(1, ((best.score - mean) / best.score) * 2) : 0;
+
+  return { angle, confidence: Math.max(0, confidence) };
+}
+
+/**
+ * Rotate an image about its centre, keeping its size
+ * Corners uncovered by the rotation are filled with the background colour.
+ * @param {{data: Uint8ClampedArray, width: number, height: number}} imageData - RGBA pixels
+ * @param {number} angle - Counter-clockwise rotation in degrees; pass the
+ *   estimated skew to straighten a page
+ * @param {Object} options - { background } RGBA array, the median colour
+ *   along the image border by default
+ * @returns {{data: Uint8ClampedArray, width: number, height: number}}
+ */
+export function deskewImageData(imageData, angle, options = {}) {
+  const { data, width, height } = imageData;
+  const { background = borderColor(imageData) } = options;
+  const out = new Uint8ClampedArray(width * height * 4);
+  const theta = (angle * Math.PI) / 180;
+  const cos = Math.cos(theta);
+  const sin = Math.sin(theta);
+  const cx = (width - 1) / 2;
+  const cy = (height - 1) / 2;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      // Output pixels look up the source along the skewed direction
+      const sx = cx + (x - cx) * cos - (y - cy) * sin;
+      const sy = cy + (x - cx) * sin + (y - cy) * cos;
+      const o = (y * width + x) * 4;
+      const x0 = Math.floor(sx);
+      const y0 = Math.floor(sy);
+
+      if (x0 < 0 || y0 < 0 || x0 >= width - 1 || y0 >= height - 1) {
+        for (let c = 0; c < 4; c++) out[o + c] = background[c];
+        continue;
+      }
+
+      const fx = sx - x0;
+      const fy = sy - y0;
+      const i00 = (y0 * width + x0) * 4;
+      const i10 = i00 + 4;
+      const i01 = i00 + width * 4;
+      const i11 = i01 + 4;
+      for (let c = 0; c < 4; c++) {
+        const top = data[i00 + c] + (data[i10 + c] - data[i00 + c]) * fx;
+        const bottom = data[i01 + c] + (data[i11 + c] - data[i01 + c]) * fx;
+        out[o + c] = top + (bottom - top) * fy;
+      }
+    }
+  }
+
+  return { data: out, width, height };
+}
+
+/**
+ * Coordinates of ink pixels on a reduced copy of the image
+ * Ink is anything well below the paper level, halfway to the darkest tones.
+ * @returns {{xs: Float32Array, ys: Float32Array, width: number, height: number}|null} null without contrast
+ */
+function findInkPoints(imageData, maxSize, minContrast, maxPoints) {
+  const { data, width, height } = imageData;
+  const step = Math.max(1, Math.ceil(Math.max(width, height) / maxSize));
+  const w = Math.floor(width / step);
+  const h = Math.floor(height / step);
+  if (w < 20 || h < 20) return null;
+
+  const gray = new Float32Array(w * h);
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      const i = (y * step * width + x * step) * 4;
+      gray[y * w + x] = 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+    }
+  }
+
+  const sorted = Float32Array.from(gray).sort();
+  const paper = sorted[Math.floor(sorted.length * 0.9)];
+  const dark = sorted[Math.floor(sorted.length * 0.02)];
+  if (paper - dark < minContrast) return null;
+  const threshold = (paper + dark) / 2;
+
+  let count = 0;
+  for (let i = 0; i < gray.length; i++) {
+    if (gray[i] < threshold) count++;
+  }
+  if (count < gray.length * 0.002) return null;
+
+  // Every stride-th ink pixel keeps the projection cost bounded
+  const stride = Math.max(1, Math.ceil(count / maxPoints));
+  const n = Math.ceil(count / stride);
+  const xs = new Float32Array(n);
+  const ys = new Float32Array(n);
+  let seen = 0;
+  let k = 0;
+  for (let i = 0; i < gray.length && k < n; i++) {
+    if (gray[i] >= threshold) continue;
+    if (seen++ % stride) continue;
+    xs[k] = i % w;
+    ys[k] = Math.floor(i / w);
+    k++;
+  }
+
+  return { xs: xs.subarray(0, k), ys: ys.subarray(0, k), width: w, height: h };
+}
+
+/**
+ * How sharply the ink collects into rows when projected at an angle
+ * Sum of squared row counts: highest when every text line falls into as
+ * few rows as possible.
+ */
+function alignmentScore(ink, angle) {
+  const { xs, ys, width, height } = ink;
+  const theta = (angle * Math.PI) / 180;
+  const cos = Math.cos(theta);
+  const sin = Math.sin(theta);
+  const offset = Math.ceil(width * Math.abs(sin)) + 1;
+  const rows = new Float64Array(height + 2 * offset + 2);
+
+  for (let i = 0; i < xs.length; i++) {
+    rows[Math.round(ys[i] * cos - xs[i] * sin) + offset]++;
+  }
+
+  let score = 0;
+  for (const count of rows) score += count * count;
+  return score / xs.length;
+}
+
+/**
+ * Per-channel median along the image border
+ */
+function borderColor(imageData) {
+  const { data, width, height } = imageData;
+  const channels = [[], [], [], []];
+  const add = (x, y) => {
+    const i = (y * width + x) * 4;
+    for (let c = 0; c < 4; c++) channels[c].push(data[i + c]);
+  };
+  for (let x = 0; x < width; x++) {
+    add(x, 0);
+    add(x, height - 1);
+  }
+  for (let y = 1; y < height - 1; y++) {
+    add(0, y);
+    add(width - 1, y);
+  }
+
+  return channels.map((values) => values.sort((a, b) => a - b)[Math.floor(values.length / 2)]);
+}
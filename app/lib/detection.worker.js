@@ -0,0 +1,70 @@
+/**
+ * Detection Worker
+ * Runs the DOM-free detection core off the main thread
+ *
+ * Messages in:  { id, bitmap, options, enhanced, intermediate }
+ * Messages out: { id, type: 'progress', ... } | { id, type: 'result', result } | { id, type: 'error', message }
+ */
+
+import { detectDocumentsCore, detectDocumentsEnhancedCore } from './detectionCore.js';
+
+self.onmessage = async (event) => {
+  const { id, bitmap, options = {}, enhanced = true, intermediate: encode = true } = event.data;
+
+  try {
+    const imageData = bitmapToImageData(bitmap);
+    bitmap.close();
+
+    const detect = enhanced ? detectDocumentsEnhancedCore : detectDocumentsCore;
+    const result = detect(imageData, {
+      ...options,
+      onProgress: (progress) => self.postMessage({ id, type: 'progress', ...progress }),
+    });
+
+    // Live frames leave out the debug images, which nothing displays
+    let intermediate = {};
+    if (encode) {
+      self.postMessage({ id, type: 'progress', stage: 'encoding', progress: 1 });
+      intermediate = await encodeIntermediate(result);
+    }
+
+    self.postMessage({ id, type: 'result', result: { ...result, intermediate } });
+  } catch (err) {
+    self.postMessage({ id, type: 'error', message: err.message });
+  }
+};
+
+/**
+ * Read RGBA pixels from a transferred ImageBitmap
+ */
+function bitmapToImageData(bitmap) {
+  const canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(bitmap, 0, 0);
+  return ctx.getImageData(0, 0, bitmap.width, bitmap.height);
+}
+
+/**
+ * Encode raw grayscale buffers as PNG blobs so the page never touches pixels
+ */
+async function encodeIntermediate(result) {
+  const { width, height } = result.intermediateSize;
+  const canvas = new OffscreenCanvas(width, height);
+  const ctx = canvas.getContext('2d');
+  const encoded = {};
+
+  for (const [name, buffer] of Object.entries(result.intermediate)) {
+    const imageData = ctx.createImageData(width, height);
+    for (let i = 0; i < buffer.length; i++) {
+      const val = buffer[i];
+      imageData.data[i * 4] = val;
+      imageData.data[i * 4 + 1] = val;
+      imageData.data[i * 4 + 2] = val;
+      imageData.data[i * 4 + 3] = 255;
+    }
+    ctx.putImageData(imageData, 0, 0);
+    encoded[name] = await canvas.convertToBlob({ type: 'image/png' });
+  }
+
+  return encoded;
+}
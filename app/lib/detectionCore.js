@@ -0,0 +1,1747 @@
+/**
+ * Document Detection Core - DOM-free pipeline
+ * Operates on raw RGBA buffers so it runs in the browser, in workers and in Node
+ * 
+ * Pipeline:
+ * 1. Grayscale conversion (optionally illumination-normalized)
+ * 2. Gaussian blur (noise reduction)
+ * 3. Sobel edge detection (optionally thinned by Canny), optional colour mask
+ * 4. Adaptive thresholding
+ * 5. Morphological cleanup
+ * 6. Contour hierarchy via border following (nested regions become children)
+ * 7. Polygon approximation
+ *    (or, with strategy 'lines', Hough lines and quads from their intersections)
+ * 8. Confidence scoring, overlap filtering and classification
+ *
+ * Pyramid mode runs steps 1-8 on a downscaled copy and refines the
+ * resulting corners against the full-resolution pixels.
+ */
+
+import { downscaleImageData, upscaleBoundary, refineCorners } from './pyramid.js';
+import { houghLines, findLineQuads, renderLines } from './houghQuads.js';
+import { scoreBoundary } from './boundaryConfidence.js';
+import { polygonOverlap, polygonArea, convexHull, minAreaRect, quadAngle } from './quadGeometry.js';
+import { colorDistanceMap, colorForegroundMask } from './colorSegmentation.js';
+import {
+  estimateNoise,
+  chooseBlurRadius,
+  chooseBlockSize,
+  chooseThresholdC,
+  chooseEdgeThresholds,
+} from './autoParameters.js';
+import { normalizeIllumination, clahe } from './illumination.js';
+import { findGutter, isSpreadShaped } from './bookSpread.js';
+import { findContourHierarchy } from './contourHierarchy.js';
+import { classifyDocument } from './documentTypes.js';
+import { estimateAspectRatio, snapToPaperSize } from './physicalAspect.js';
+import { closeFrame, touchesFrame, inferClippedQuad, findClippedSides, findFrameSides } from './frameClipping.js';
+import { fitQuadSides, fitQuadToImage, edgePointsAlongQuad, gradientSampler } from './sideFit.js';
+import { estimateOrientation } from './pageOrientation.js';
+import { assessCaptureQuality } from './captureQuality.js';
+
+/**
+ * Detect documents in an RGBA buffer
+ * @param {{data: Uint8ClampedArray, width: number, height: number}} imageData - RGBA pixels
+ * @param {Object} options - Detection options
+ * @returns {Object} Boundaries (source coordinates), the source width and
+ *   height, raw intermediate buffers (Uint8Array, intermediateSize.width x
+ *   intermediateSize.height, the processed resolution) and stats
+ */
+export function detectDocumentsCore(imageData, options = {}) {
+  const {
+    auto = false,
+    autoEdgeMethod = 'otsu',
+    edgeDetector = 'sobel',
+    strategy = 'contours',
+    colorSegmentation = null,
+    colorThreshold = 12,
+    illumination = null,
+    illuminationRadius,
+    useClahe = false,
+    lowConfidenceThreshold = 0.5,
+    iouThreshold = 0.5,
+    containmentThreshold = 0.9,
+    splitSpreads = true,
+    minSpreadAspect = 1.15,
+    snapPaperSize = false,
+    focalLength = null,
+    detectOrientation = true,
+    assessQuality = true,
+    qualityThresholds = {},
+    pyramid = false,
+    pyramidMaxSize = 1000,
+    onProgress = null,
+  } = options;
+
+  if (pyramid) {
+    const factor = Math.ceil(Math.max(imageData.width, imageData.height) / pyramidMaxSize);
+    if (factor > 1) return detectWithPyramid(imageData, options, factor);
+  }
+
+  const { data: pixels, width, height } = imageData;
+  const report = (stage, progress) => onProgress && onProgress({ stage, progress });
+  
+  const intermediate = {};
+  const pipeline = ['grayscale'];
+  
+  // Step 1: Convert to grayscale
+  report('grayscale', 0);
+  const gray = new Uint8Array(width * height);
+  for (let i = 0; i < pixels.length; i += 4) {
+    const idx = i / 4;
+    gray[idx] = Math.round(0.299 * pixels[i] + 0.587 * pixels[i + 1] + 0.114 * pixels[i + 2]);
+  }
+  intermediate.grayscale = gray;
+  
+  // Tunable values: explicit options win, otherwise fixed defaults or, in
+  // auto mode, values derived from the image statistics
+  const noise = auto ? estimateNoise(gray, width, height) : null;
+  const pick = (name, derive, fallback) => {
+    if (options[name] !== undefined) return options[name];
+    return auto ? derive() : fallback;
+  };
+  const params = {
+    blurRadius: pick('blurRadius', () => chooseBlurRadius(noise), 2),
+    thresholdBlockSize: pick('thresholdBlockSize', () => chooseBlockSize(width, height), 15),
+    thresholdC: pick('thresholdC', () => chooseThresholdC(noise), 5),
+  };
+  
+  // Step 1b: Divide out shadows and vignetting ('blur' or 'close' background
+  // estimate), optionally followed by CLAHE
+  let normalized = gray;
+  if (illumination) {
+    report('normalize', 0.05);
+    normalized = normalizeIllumination(gray, width, height, {
+      method: illumination,
+      radius: illuminationRadius,
+    });
+    pipeline.push('normalize');
+  }
+  if (useClahe) {
+    normalized = clahe(normalized, width, height);
+    pipeline.push('clahe');
+  }
+  if (normalized !== gray) intermediate.normalized = normalized;
+  
+  // Step 2: Apply Gaussian blur
+  report('blur', 0.1);
+  const blurred = gaussianBlur(normalized, width, height, params.blurRadius);
+  pipeline.push('blur', 'edges');
+  
+  // Step 3: Sobel edge detection
+  report('edges', 0.25);
+  const gradients = sobelGradients(blurred, width, height);
+  const edges = gradientMagnitude(gradients, width, height);
+  intermediate.edges = edges;
+  
+  const edgeStats = auto ? chooseEdgeThresholds(gradients, autoEdgeMethod) : null;
+  params.edgeThreshold = pick('edgeThreshold', () => edgeStats.edgeThreshold, 50);
+  params.cannyLowThreshold = pick('cannyLowThreshold', () => edgeStats.cannyLowThreshold, 40);
+  params.cannyHighThreshold = pick('cannyHighThreshold', () => edgeStats.cannyHighThreshold, 100);
+  
+  // Step 3b: Canny (non-maximum suppression + hysteresis) replaces the raw
+  // magnitude threshold with thin, connected edges
+  let canny = null;
+  if (edgeDetector === 'canny') {
+    report('canny', 0.3);
+    canny = cannyEdgeDetection(gradients, width, height, params.cannyLowThreshold, params.cannyHighThreshold);
+    intermediate.canny = canny;
+    pipeline.push('canny');
+  }
+  
+  // Step 3c: Colour distance to the background sampled along the frame,
+  // for documents whose luminance matches the surface ('lab' or 'hsv')
+  let colorMask = null;
+  if (colorSegmentation) {
+    report('color', 0.35);
+    const { distance, spread } = colorDistanceMap(pixels, width, height, { space: colorSegmentation });
+    colorMask = colorForegroundMask(gaussianBlur(distance, width, height, params.blurRadius), spread, colorThreshold);
+    intermediate.color = colorMask;
+    pipeline.push('color');
+  }
+  
+  // Steps 4-8: find candidate boundaries with the selected strategy
+  const maps = { gray, blurred, gradients, edges, canny, colorMask };
+  const context = { width, height, options, params, intermediate, pipeline, report };
+  const boundaries = strategy === 'lines'
+    ? findLineBoundaries(maps, context)
+    : findContourBoundaries(maps, context);
+  
+  // Confidence from edge support, corner angles, projective shape and contrast
+  scoreBoundaries(boundaries, maps, width, height, {
+    minGradient: params.edgeThreshold,
+    lowConfidenceThreshold,
+  });
+  
+  // Sort by area (largest first)
+  boundaries.sort((a, b) => b.area - a.area);
+  
+  // Filter overlapping
+  report('filter', 0.9);
+  const { kept, suppressed } = filterOverlapping(boundaries, { iouThreshold, containmentThreshold });
+  pipeline.push('filter');
+  
+  // An open book usually traces as one wide quad: split it at the gutter
+  let filtered = kept;
+  if (splitSpreads) {
+    filtered = splitBookSpreads(kept, imageData, minSpreadAspect);
+    pipeline.push('gutter');
+  }
+  
+  // Classify detections
+  measureGeometry(filtered, imageData, { snapPaperSize, focalLength });
+  classifyDetections(filtered, imageData);
+  if (detectOrientation) measureOrientations(filtered, imageData);
+  if (assessQuality) measureQuality(filtered, imageData, qualityThresholds);
+  report('done', 1);
+  
+  return {
+    boundaries: filtered,
+    suppressed,
+    intermediate,
+    intermediateSize: { width, height },
+    width,
+    height,
+    stats: {
+      totalDetected: filtered.length,
+      totalSuppressed: suppressed.length,
+      processingPipeline: pipeline,
+      // Passing these back as options reproduces the run
+      parameters: params,
+      ...(auto && { noiseLevel: noise }),
+    }
+  };
+}
+
+/**
+ * Contour strategy: threshold + edges, morphology, contour tracing and
+ * polygon approximation
+ */
+function findContourBoundaries(maps, context) {
+  const { blurred, gradients, edges, canny, colorMask } = maps;
+  const { width, height, options, params, intermediate, pipeline, report } = context;
+  const {
+    minAreaRatio = 0.02,
+    maxAreaRatio = 0.95,
+  } = options;
+  
+  const minArea = width * height * minAreaRatio;
+  const maxArea = width * height * maxAreaRatio;
+  
+  // Step 4: Adaptive threshold
+  report('threshold', 0.4);
+  const threshold = adaptiveThreshold(blurred, width, height, params.thresholdBlockSize, params.thresholdC);
+  intermediate.threshold = threshold;
+  pipeline.push('threshold');
+  
+  // Step 5: Combine edges, threshold and the colour mask
+  const combined = new Uint8Array(width * height);
+  for (let i = 0; i < combined.length; i++) {
+    const isEdge = canny ? canny[i] > 0 : edges[i] > params.edgeThreshold;
+    const isColor = colorMask !== null && colorMask[i] > 0;
+    combined[i] = (isEdge || threshold[i] > 128 || isColor) ? 255 : 0;
+  }
+  
+  // Step 6: Morphological operations (dilate then erode)
+  report('morphology', 0.55);
+  const dilated = dilate(combined, width, height, 2);
+  const processed = erode(dilated, width, height, 1);
+  // Documents running off the image leave their edge band open at the frame
+  closeFrame(processed, width, height);
+  intermediate.processed = processed;
+  
+  // Step 7: Trace borders with their nesting
+  report('contours', 0.7);
+  const hierarchy = findContourHierarchy(processed, width, height);
+  pipeline.push('contours');
+  
+  // Step 8: Filter and approximate contours, then keep the outermost
+  // candidates and hang nested ones off their nearest candidate ancestor.
+  // Parents are always traced before their children. Side fits move
+  // contour points onto the edge the band was traced around.
+  const sideFit = {
+    gradientAt: gradientSampler(gradients, width, height),
+    width,
+    height,
+    minGradient: params.edgeThreshold,
+  };
+  const candidates = hierarchy.map((contour) => {
+    if (contour.points.length < 20) return null;
+    return touchesFrame(contour.points, width, height)
+      ? clippedContourToBoundary(contour.points, minArea, maxArea, sideFit)
+      : contourToBoundary(contour.points, minArea, maxArea, sideFit);
+  });
+  const boundaries = [];
+  
+  for (let i = 0; i < hierarchy.length; i++) {
+    const boundary = candidates[i];
+    if (!boundary) continue;
+    
+    let p = hierarchy[i].parent;
+    while (p >= 0 && !candidates[p]) p = hierarchy[p].parent;
+    
+    if (p < 0) {
+      boundaries.push(boundary);
+    } else if (isSameRegion(boundary.boundingRect, candidates[p].boundingRect)) {
+      // Other side of the same edge band: the same document, not a nested one
+      candidates[i] = candidates[p];
+    } else {
+      candidates[p].children.push(boundary);
+    }
+  }
+  
+  return boundaries;
+}
+
+/**
+ * Whether a nested contour only traces the inside of its parent's edge band.
+ * The band is as wide as the threshold halo plus dilation, about 12px at any
+ * resolution, so small regions are compared by margin rather than overlap.
+ */
+function isSameRegion(inner, outer) {
+  const band = 12;
+  return calculateIoU(inner, outer) > 0.5 || (
+    inner.x - outer.x <= band &&
+    inner.y - outer.y <= band &&
+    (outer.x + outer.width) - (inner.x + inner.width) <= band &&
+    (outer.y + outer.height) - (inner.y + inner.height) <= band
+  );
+}
+
+// Longest bounding-box side over the shortest that can still be a document:
+// a long till receipt runs past 1:8
+const MAX_DOCUMENT_ASPECT = 12;
+
+/**
+ * Approximate a traced contour by a document-like polygon
+ * @param {Object} sideFit - Options for fitQuadSides (see sideFit.js)
+ * @returns {Object|null} Boundary, or null when the contour is filtered out
+ */
+function contourToBoundary(contour, minArea, maxArea, sideFit) {
+  const area = calculateContourArea(contour);
+  
+  if (area < minArea || area > maxArea) return null;
+  
+  // Get bounding box
+  const bbox = getBoundingBox(contour);
+  const aspectRatio = bbox.width / bbox.height;
+  
+  // Filter out slivers (edges of tables, shelves, screens)
+  if (aspectRatio < 1 / MAX_DOCUMENT_ASPECT || aspectRatio > MAX_DOCUMENT_ASPECT) return null;
+  
+  // Corners, in order of preference: polygon approximation, curvature
+  // peaks, and as a fallback that always succeeds the minimum-area rectangle
+  let corners = null;
+  let cornerSource = null;
+  let minOffset = 0;
+  const perimeter = getContourPerimeter(contour);
+  
+  for (const epsilonFactor of [0.01, 0.02, 0.03, 0.04, 0.05]) {
+    const epsilon = epsilonFactor * perimeter;
+    const approx = dropCollinearVertices(approximatePolygon(contour, epsilon), epsilon);
+    
+    if (approx.length === 4) {
+      corners = approx;
+      cornerSource = 'approximation';
+      // The approximated sides may stray this far from the contour
+      minOffset = epsilon;
+      break;
+    }
+  }
+  
+  if (!corners) {
+    const peaks = findCorners(contour, 4);
+    // Curvature peaks must span the contour, not pick corners off one side
+    if (peaks.length === 4) {
+      const ordered = orderQuadPoints(peaks.map(({ x, y }) => ({ x, y })));
+      if (isConvex(ordered) && polygonArea(ordered) >= area * 0.8) {
+        corners = ordered;
+        cornerSource = 'curvature';
+      }
+    }
+  }
+  
+  if (!corners) {
+    const rect = minAreaRect(contour);
+    if (!rect) return null;
+    corners = rect.points;
+    cornerSource = 'rectangle';
+  }
+  
+  // Corners become intersections of the sides fitted to the contour
+  const fit = fitQuadSides(contour, orderQuadPoints(corners), { ...sideFit, minOffset });
+  const orderedPoints = fit.points;
+  
+  return {
+    points: orderedPoints,
+    area,
+    aspectRatio,
+    numVertices: 4,
+    boundingRect: bbox,
+    isConvex: isConvex(orderedPoints),
+    angle: quadAngle(orderedPoints),
+    cornerSource,
+    sideResiduals: fit.residuals,
+    children: [],
+  };
+}
+
+/**
+ * Approximate a contour that runs partly along the image frame
+ * Regions the frame cuts out of the background are concave (they wrap
+ * around the document) and are dropped; a document cut by the frame is
+ * convex and gets its quad from its visible sides.
+ * @returns {Object|null} Boundary, or null when the contour is filtered out
+ */
+function clippedContourToBoundary(contour, minArea, maxArea, sideFit) {
+  const { width, height } = sideFit;
+  const area = calculateContourArea(contour);
+  if (area < minArea || area > maxArea) return null;
+  const hull = convexHull(contour);
+  if (area < polygonArea(hull) * 0.9) return null;
+  
+  // The hull bridges content that runs off the image along with the page
+  const perimeter = getContourPerimeter(hull);
+  let corners = null;
+  
+  for (const epsilonFactor of [0.01, 0.02, 0.03]) {
+    const epsilon = epsilonFactor * perimeter;
+    const approx = dropCollinearVertices(approximatePolygon(hull, epsilon), epsilon);
+    corners = inferClippedQuad(approx, width, height);
+    if (corners) break;
+  }
+  
+  // A document merely touching the frame is an ordinary contour
+  if (!corners) return contourToBoundary(contour, minArea, maxArea, sideFit);
+  
+  // Sides standing in for the frame have no edge of their own to fit
+  const ordered = orderQuadPoints(corners);
+  const fit = fitQuadSides(contour, ordered, { ...sideFit, fixedSides: findFrameSides(ordered, width, height) });
+  const orderedPoints = fit.points;
+  const bbox = getBoundingBox(orderedPoints);
+  
+  return {
+    points: orderedPoints,
+    area,
+    aspectRatio: bbox.width / bbox.height,
+    numVertices: 4,
+    boundingRect: bbox,
+    isConvex: isConvex(orderedPoints),
+    angle: quadAngle(orderedPoints),
+    cornerSource: 'frame',
+    sideResiduals: fit.residuals,
+    // Content running off the image along with the page (text lines, a
+    // photo) can keep a side a few pixels short of the frame
+    frameSides: findFrameSides(orderedPoints, width, height, Math.max(2, Math.min(width, height) * 0.02)),
+    children: [],
+  };
+}
+
+/**
+ * Remove vertices lying within epsilon of the line through their neighbours.
+ * Douglas-Peucker treats the closed contour as an open path, so its start
+ * point (usually the top-most pixel) comes back twice, and any start point
+ * in the middle of a side survives as a vertex.
+ */
+function dropCollinearVertices(points, epsilon) {
+  const result = [...points];
+  let removed = true;
+  
+  while (removed && result.length > 3) {
+    removed = false;
+    for (let i = 0; i < result.length; i++) {
+      const prev = result[(i - 1 + result.length) % result.length];
+      const next = result[(i + 1) % result.length];
+      if (pointToLineDistance(result[i], prev, next) < epsilon) {
+        result.splice(i, 1);
+        removed = true;
+        break;
+      }
+    }
+  }
+  
+  return result;
+}
+
+/**
+ * Score boundaries and, recursively, their nested children
+ * Sides along the image frame of a clipped document have no edge to score.
+ */
+function scoreBoundaries(boundaries, maps, width, height, options) {
+  const { minGradient, lowConfidenceThreshold } = options;
+  for (const boundary of boundaries) {
+    const frameSides = boundary.points.length === 4
+      ? [...findFrameSides(boundary.points, width, height), ...(boundary.frameSides || [])]
+      : [];
+    const { confidence, breakdown } = scoreBoundary(boundary, maps, width, height, { minGradient, frameSides });
+    boundary.confidence = confidence;
+    boundary.confidenceBreakdown = breakdown;
+    boundary.lowConfidence = confidence < lowConfidenceThreshold;
+    
+    if (boundary.children.length > 0) {
+      boundary.children.sort((a, b) => b.area - a.area);
+      scoreBoundaries(boundary.children, maps, width, height, options);
+    }
+  }
+}
+
+/**
+ * Line strategy: Hough lines on Canny edges, quads from line intersections
+ */
+function findLineBoundaries(maps, context) {
+  const { gradients, canny } = maps;
+  const { width, height, options, params, intermediate, pipeline, report } = context;
+  const {
+    minAreaRatio = 0.02,
+    maxAreaRatio = 0.95,
+  } = options;
+  
+  // Step 4: Thin edges are required for clean Hough peaks
+  let lineEdges = canny;
+  if (!lineEdges) {
+    report('canny', 0.35);
+    lineEdges = cannyEdgeDetection(gradients, width, height, params.cannyLowThreshold, params.cannyHighThreshold);
+    intermediate.canny = lineEdges;
+    pipeline.push('canny');
+  }
+  
+  // Step 5: Hough transform
+  report('hough', 0.5);
+  const lines = houghLines(lineEdges, gradients, width, height);
+  
+  // Step 6: Score quads built from line intersections
+  report('quads', 0.7);
+  const quads = findLineQuads(lines, lineEdges, width, height, {
+    minArea: width * height * minAreaRatio,
+    maxArea: width * height * maxAreaRatio,
+  });
+  intermediate.lines = renderLines(lines, quads, width, height);
+  pipeline.push('hough', 'quads');
+  
+  return quads.map((quad) => {
+    // Hough lines are quantised in angle and distance; refit them to the edge pixels
+    const ordered = orderQuadPoints(quad.points);
+    const fit = fitQuadSides(edgePointsAlongQuad(lineEdges, width, height, ordered), ordered);
+    const points = fit.points;
+    const bbox = getBoundingBox(points);
+    
+    return {
+      points,
+      area: quad.area,
+      aspectRatio: bbox.width / bbox.height,
+      numVertices: 4,
+      boundingRect: bbox,
+      isConvex: isConvex(points),
+      angle: quadAngle(points),
+      cornerSource: 'lines',
+      lineSupport: quad.sideSupport,
+      sideResiduals: fit.residuals,
+      children: [],
+    };
+  });
+}
+
+/**
+ * Pyramid detection: contours on a reduced copy, corners refined at full resolution
+ */
+function detectWithPyramid(imageData, options, factor) {
+  // Coarse corners sit on the outside of the dilated edge band, which can be
+  // several reduced pixels away from the true border
+  const {
+    refineRadius = Math.max(24, factor * 8),
+    splitSpreads = true,
+    minSpreadAspect = 1.15,
+    snapPaperSize = false,
+    focalLength = null,
+    detectOrientation = true,
+    assessQuality = true,
+    qualityThresholds = {},
+    onProgress = null,
+  } = options;
+  
+  const small = downscaleImageData(imageData, factor);
+  const result = detectDocumentsCore(small, {
+    ...options,
+    pyramid: false,
+    focalLength: focalLength && focalLength / factor,
+    // Text is read and quality judged at full resolution once the corners
+    // are refined
+    detectOrientation: false,
+    assessQuality: false,
+    // Gutters are searched once the outer corners are refined
+    splitSpreads: false,
+    onProgress: onProgress && (({ stage, progress }) => onProgress({ stage, progress: progress * 0.9 })),
+  });
+  
+  if (onProgress) onProgress({ stage: 'refine', progress: 0.9 });
+  
+  const minGradient = result.stats.parameters.edgeThreshold;
+  let boundaries = result.boundaries.map((boundary) =>
+    refineUpscaled(boundary, imageData, factor, { refineRadius, minGradient })
+  );
+  const pipeline = ['downscale', ...result.stats.processingPipeline, 'refine'];
+  
+  if (splitSpreads) {
+    boundaries = splitBookSpreads(boundaries, imageData, minSpreadAspect);
+    // Page count may have changed: re-label everything but the new pages
+    for (const boundary of boundaries) {
+      if (!boundary.gutter) delete boundary.type;
+    }
+    measureGeometry(boundaries, imageData, { snapPaperSize, focalLength });
+    classifyDetections(boundaries, imageData);
+    pipeline.push('gutter');
+  } else {
+    measureGeometry(boundaries, imageData, { snapPaperSize, focalLength });
+  }
+  if (detectOrientation) measureOrientations(boundaries, imageData);
+  if (assessQuality) measureQuality(boundaries, imageData, qualityThresholds);
+  const suppressed = result.suppressed.map((entry) => ({
+    ...entry,
+    boundary: upscaleBoundary(entry.boundary, factor),
+  }));
+  
+  if (onProgress) onProgress({ stage: 'done', progress: 1 });
+  
+  return {
+    ...result,
+    boundaries,
+    suppressed,
+    // Intermediate buffers stay at the reduced size (intermediateSize)
+    width: imageData.width,
+    height: imageData.height,
+    stats: {
+      ...result.stats,
+      pyramidFactor: factor,
+      processingPipeline: pipeline,
+    }
+  };
+}
+
+/**
+ * Upscale a boundary found on a reduced copy, with its nested children, and
+ * refine its corners at full resolution
+ */
+function refineUpscaled(boundary, imageData, factor, options) {
+  const { refineRadius, minGradient } = options;
+  const upscaled = upscaleBoundary(boundary, factor);
+  // Fitted coarse sides lie on the edge to within a reduced pixel or two;
+  // refit them at full resolution, or refine around the corners if that fails
+  const fit = fitQuadToImage(imageData, upscaled.points, { searchRange: factor * 3, minGradient });
+  upscaled.points = fit.residuals.some((r) => r !== null)
+    ? fit.points
+    : refineCorners(imageData, upscaled.points, { radius: refineRadius });
+  upscaled.sideResiduals = fit.residuals;
+  upscaled.angle = quadAngle(upscaled.points);
+  upscaled.children = boundary.children.map((child) => refineUpscaled(child, imageData, factor, options));
+  return upscaled;
+}
+
+/**
+ * Gaussian blur implementation
+ * Separable: the 2D kernel is the outer product of a 1D Gaussian, so a
+ * horizontal and a vertical pass give the same sums in O(radius) per pixel.
+ * Results match the direct 2D convolution except for rare +/-1 differences
+ * where floating-point summation order flips a .5 rounding tie.
+ * Radii above GAUSSIAN_EXACT_MAX_RADIUS switch to three stacked box blurs,
+ * which cost O(1) per pixel. The exact range covers every radius the
+ * detector picks itself (auto mode goes up to 5). Measured against the
+ * direct 2D kernel for radii 9-16, the box blurs differ by up to 9 grey
+ * levels (mean under 1) along isolated hard edges, but by up to 48 levels
+ * (mean about 2) on grids of one-pixel lines and up to 30 on fine
+ * checkerboards, where the box shape lets through detail the Gaussian
+ * removes.
+ */
+const GAUSSIAN_EXACT_MAX_RADIUS = 8;
+
+function gaussianBlur(data, width, height, radius) {
+  if (radius < 1) return new Uint8Array(data);
+  if (radius > GAUSSIAN_EXACT_MAX_RADIUS) {
+    return boxBlurGaussian(data, width, height, radius / 2);
+  }
+  
+  const kernel = createGaussianKernel(radius);
+  const kSize = kernel.length;
+  const weightSum = kernel.reduce((sum, w) => sum + w, 0);
+  const norm = weightSum * weightSum;
+  const temp = new Float64Array(width * height);
+  const result = new Uint8Array(width * height);
+  
+  // Horizontal pass (edge pixels clamped)
+  for (let y = 0; y < height; y++) {
+    const row = y * width;
+    for (let x = 0; x < width; x++) {
+      let sum = 0;
+      for (let k = 0; k < kSize; k++) {
+        const px = Math.min(Math.max(x + k - radius, 0), width - 1);
+        sum += data[row + px] * kernel[k];
+      }
+      temp[row + x] = sum;
+    }
+  }
+  
+  // Vertical pass
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let sum = 0;
+      for (let k = 0; k < kSize; k++) {
+        const py = Math.min(Math.max(y + k - radius, 0), height - 1);
+        sum += temp[py * width + x] * kernel[k];
+      }
+      result[y * width + x] = Math.round(sum / norm);
+    }
+  }
+  
+  return result;
+}
+
+/**
+ * 1D Gaussian kernel (sigma = radius / 2)
+ */
+function createGaussianKernel(radius) {
+  const size = radius * 2 + 1;
+  const kernel = [];
+  const sigma = radius / 2;
+  
+  for (let i = 0; i < size; i++) {
+    const d = i - radius;
+    kernel[i] = Math.exp(-(d * d) / (2 * sigma * sigma));
+  }
+  
+  return kernel;
+}
+
+/**
+ * Gaussian approximation from three box blurs (Wells, 1986)
+ */
+function boxBlurGaussian(data, width, height, sigma) {
+  const n = 3;
+  const ideal = Math.sqrt((12 * sigma * sigma) / n + 1);
+  let lower = Math.floor(ideal);
+  if (lower % 2 === 0) lower--;
+  const upper = lower + 2;
+  const m = Math.round((12 * sigma * sigma - n * lower * lower - 4 * n * lower - 3 * n) / (-4 * lower - 4));
+  
+  let current = Float64Array.from(data);
+  let scratch = new Float64Array(width * height);
+  
+  for (let i = 0; i < n; i++) {
+    const r = ((i < m ? lower : upper) - 1) / 2;
+    boxBlurHorizontal(current, scratch, width, height, r);
+    boxBlurVertical(scratch, current, width, height, r);
+  }
+  
+  const result = new Uint8Array(width * height);
+  for (let i = 0; i < result.length; i++) {
+    result[i] = Math.round(current[i]);
+  }
+  
+  return result;
+}
+
+/**
+ * Running-sum box blur along rows, clamping at the edges
+ */
+function boxBlurHorizontal(src, dst, width, height, r) {
+  const size = 2 * r + 1;
+  
+  for (let y = 0; y < height; y++) {
+    const row = y * width;
+    let sum = 0;
+    for (let k = -r; k <= r; k++) {
+      sum += src[row + Math.min(Math.max(k, 0), width - 1)];
+    }
+    
+    for (let x = 0; x < width; x++) {
+      dst[row + x] = sum / size;
+      const add = Math.min(x + r + 1, width - 1);
+      const remove = Math.max(x - r, 0);
+      sum += src[row + add] - src[row + remove];
+    }
+  }
+}
+
+/**
+ * Running-sum box blur along columns, clamping at the edges
+ */
+function boxBlurVertical(src, dst, width, height, r) {
+  const size = 2 * r + 1;
+  
+  for (let x = 0; x < width; x++) {
+    let sum = 0;
+    for (let k = -r; k <= r; k++) {
+      sum += src[Math.min(Math.max(k, 0), height - 1) * width + x];
+    }
+    
+    for (let y = 0; y < height; y++) {
+      dst[y * width + x] = sum / size;
+      const add = Math.min(y + r + 1, height - 1);
+      const remove = Math.max(y - r, 0);
+      sum += src[add * width + x] - src[remove * width + x];
+    }
+  }
+}
+
+/**
+ * Sobel gradients (gx, gy); the one-pixel border is left at zero
+ */
+function sobelGradients(data, width, height) {
+  const gx = new Int16Array(width * height);
+  const gy = new Int16Array(width * height);
+  
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const i = y * width + x;
+      const tl = data[i - width - 1], t = data[i - width], tr = data[i - width + 1];
+      const l = data[i - 1], r = data[i + 1];
+      const bl = data[i + width - 1], b = data[i + width], br = data[i + width + 1];
+      
+      gx[i] = (tr + 2 * r + br) - (tl + 2 * l + bl);
+      gy[i] = (bl + 2 * b + br) - (tl + 2 * t + tr);
+    }
+  }
+  
+  return { gx, gy };
+}
+
+/**
+ * Gradient magnitude clamped to 0-255
+ */
+function gradientMagnitude(gradients, width, height) {
+  const { gx, gy } = gradients;
+  const result = new Uint8Array(width * height);
+  
+  for (let i = 0; i < result.length; i++) {
+    result[i] = Math.min(255, Math.sqrt(gx[i] * gx[i] + gy[i] * gy[i]));
+  }
+  
+  return result;
+}
+
+/**
+ * Canny edge detection from precomputed Sobel gradients
+ * Thresholds apply to the unclamped L2 gradient magnitude
+ */
+function cannyEdgeDetection(gradients, width, height, lowThreshold, highThreshold) {
+  const { gx, gy } = gradients;
+  const magnitude = new Float32Array(width * height);
+  for (let i = 0; i < magnitude.length; i++) {
+    magnitude[i] = Math.sqrt(gx[i] * gx[i] + gy[i] * gy[i]);
+  }
+  
+  // Non-maximum suppression along the quantised gradient direction
+  // 0 = none, 1 = weak, 2 = strong
+  const TAN_22_5 = 0.4142;
+  const state = new Uint8Array(width * height);
+  
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const i = y * width + x;
+      const mag = magnitude[i];
+      if (mag < lowThreshold) continue;
+      
+      const ax = Math.abs(gx[i]);
+      const ay = Math.abs(gy[i]);
+      let n1, n2;
+      
+      if (ay <= ax * TAN_22_5) {
+        n1 = i - 1; n2 = i + 1;                       // horizontal gradient
+      } else if (ax <= ay * TAN_22_5) {
+        n1 = i - width; n2 = i + width;               // vertical gradient
+      } else if ((gx[i] > 0) === (gy[i] > 0)) {
+        n1 = i - width - 1; n2 = i + width + 1;       // 45 degrees
+      } else {
+        n1 = i - width + 1; n2 = i + width - 1;       // 135 degrees
+      }
+      
+      // Ties keep the first pixel only, so plateaus stay one pixel wide
+      if (mag > magnitude[n1] && mag >= magnitude[n2]) {
+        state[i] = mag >= highThreshold ? 2 : 1;
+      }
+    }
+  }
+  
+  // Hysteresis: grow strong edges through connected weak pixels
+  const result = new Uint8Array(width * height);
+  const stack = [];
+  
+  for (let i = 0; i < state.length; i++) {
+    if (state[i] !== 2 || result[i]) continue;
+    
+    result[i] = 255;
+    stack.push(i);
+    
+    while (stack.length > 0) {
+      const idx = stack.pop();
+      const cx = idx % width;
+      const cy = (idx - cx) / width;
+      
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          const nx = cx + dx;
+          const ny = cy + dy;
+          if (nx < 0 || nx >= width || ny < 0 || ny >= height) continue;
+          
+          const n = ny * width + nx;
+          if (state[n] && !result[n]) {
+            result[n] = 255;
+            stack.push(n);
+          }
+        }
+      }
+    }
+  }
+  
+  return result;
+}
+
+/**
+ * Adaptive thresholding
+ * Window sums are kept as running column sums plus a sliding row sum, so the
+ * cost per pixel does not depend on blockSize. Integer sums make the output
+ * identical to the direct windowed mean (windows are clipped at the border).
+ */
+function adaptiveThreshold(data, width, height, blockSize, C) {
+  const result = new Uint8Array(width * height);
+  const half = Math.floor(blockSize / 2);
+  const colSums = new Float64Array(width);
+  
+  // Prime column sums with rows [0, half - 1]
+  for (let y = 0; y < Math.min(half, height); y++) {
+    for (let x = 0; x < width; x++) {
+      colSums[x] += data[y * width + x];
+    }
+  }
+  
+  for (let y = 0; y < height; y++) {
+    // Slide the vertical window to rows [y - half, y + half]
+    const addRow = y + half;
+    const removeRow = y - half - 1;
+    if (addRow < height) {
+      for (let x = 0; x < width; x++) colSums[x] += data[addRow * width + x];
+    }
+    if (removeRow >= 0) {
+      for (let x = 0; x < width; x++) colSums[x] -= data[removeRow * width + x];
+    }
+    
+    const rows = Math.min(y + half, height - 1) - Math.max(y - half, 0) + 1;
+    
+    let sum = 0;
+    for (let x = 0; x < Math.min(half, width); x++) sum += colSums[x];
+    
+    for (let x = 0; x < width; x++) {
+      const addCol = x + half;
+      const removeCol = x - half - 1;
+      if (addCol < width) sum += colSums[addCol];
+      if (removeCol >= 0) sum -= colSums[removeCol];
+      
+      const cols = Math.min(x + half, width - 1) - Math.max(x - half, 0) + 1;
+      const mean = sum / (rows * cols);
+      const pixel = data[y * width + x];
+      result[y * width + x] = pixel < (mean - C) ? 255 : 0;
+    }
+  }
+  
+  return result;
+}
+
+/**
+ * Morphological dilate (square structuring element)
+ */
+function dilate(data, width, height, radius) {
+  return morphology(data, width, height, radius, true);
+}
+
+/**
+ * Morphological erode (square structuring element)
+ */
+function erode(data, width, height, radius) {
+  return morphology(data, width, height, radius, false);
+}
+
+/**
+ * Separable square max/min filter using the van Herk/Gil-Werman algorithm
+ * (about 3 comparisons per pixel per pass, independent of radius).
+ * Out-of-image pixels act as the identity (0 for max, 255 for min), which
+ * matches skipping them, so output is identical to the direct scan.
+ */
+function morphology(data, width, height, radius, isMax) {
+  if (radius < 1) return new Uint8Array(data);
+  
+  const temp = new Uint8Array(width * height);
+  const result = new Uint8Array(width * height);
+  const maxLen = Math.max(width, height);
+  const line = new Uint8Array(maxLen);
+  const out = new Uint8Array(maxLen);
+  const buffers = createVHGWBuffers(maxLen, radius);
+  
+  for (let y = 0; y < height; y++) {
+    const row = y * width;
+    for (let x = 0; x < width; x++) line[x] = data[row + x];
+    slidingExtremum(line, width, radius, isMax, out, buffers);
+    for (let x = 0; x < width; x++) temp[row + x] = out[x];
+  }
+  
+  for (let x = 0; x < width; x++) {
+    for (let y = 0; y < height; y++) line[y] = temp[y * width + x];
+    slidingExtremum(line, height, radius, isMax, out, buffers);
+    for (let y = 0; y < height; y++) result[y * width + x] = out[y];
+  }
+  
+  return result;
+}
+
+function createVHGWBuffers(maxLen, radius) {
+  const k = 2 * radius + 1;
+  const padded = Math.ceil((maxLen + 2 * radius) / k) * k;
+  return {
+    values: new Uint8Array(padded),
+    prefix: new Uint8Array(padded),
+    suffix: new Uint8Array(padded),
+  };
+}
+
+/**
+ * 1D sliding max/min over windows [i - radius, i + radius]
+ */
+function slidingExtremum(line, length, radius, isMax, out, buffers) {
+  const k = 2 * radius + 1;
+  const identity = isMax ? 0 : 255;
+  const pick = isMax ? Math.max : Math.min;
+  const padded = Math.ceil((length + 2 * radius) / k) * k;
+  const { values, prefix, suffix } = buffers;
+  
+  for (let i = 0; i < padded; i++) {
+    const src = i - radius;
+    values[i] = src >= 0 && src < length ? line[src] : identity;
+  }
+  
+  // Running extremum from the start (prefix) and end (suffix) of each block
+  for (let start = 0; start < padded; start += k) {
+    const end = start + k - 1;
+    prefix[start] = values[start];
+    for (let i = start + 1; i <= end; i++) prefix[i] = pick(prefix[i - 1], values[i]);
+    suffix[end] = values[end];
+    for (let i = end - 1; i >= start; i--) suffix[i] = pick(suffix[i + 1], values[i]);
+  }
+  
+  for (let i = 0; i < length; i++) {
+    out[i] = pick(suffix[i], prefix[i + k - 1]);
+  }
+}
+
+/**
+ * Calculate contour area using Shoelace formula
+ */
+function calculateContourArea(contour) {
+  let area = 0;
+  const n = contour.length;
+  
+  for (let i = 0; i < n; i++) {
+    const j = (i + 1) % n;
+    area += contour[i].x * contour[j].y;
+    area -= contour[j].x * contour[i].y;
+  }
+  
+  return Math.abs(area / 2);
+}
+
+/**
+ * Get contour perimeter
+ */
+function getContourPerimeter(contour) {
+  let perimeter = 0;
+  const n = contour.length;
+  
+  for (let i = 0; i < n; i++) {
+    const j = (i + 1) % n;
+    const dx = contour[j].x - contour[i].x;
+    const dy = contour[j].y - contour[i].y;
+    perimeter += Math.sqrt(dx * dx + dy * dy);
+  }
+  
+  return perimeter;
+}
+
+/**
+ * Get bounding box of contour
+ */
+function getBoundingBox(contour) {
+  let minX = Infinity, minY = Infinity;
+  let maxX = -Infinity, maxY = -Infinity;
+  
+  for (const p of contour) {
+    minX = Math.min(minX, p.x);
+    minY = Math.min(minY, p.y);
+    maxX = Math.max(maxX, p.x);
+    maxY = Math.max(maxY, p.y);
+  }
+  
+  return {
+    x: minX,
+    y: minY,
+    width: maxX - minX,
+    height: maxY - minY
+  };
+}
+
+/**
+ * Douglas-Peucker polygon approximation
+ */
+function approximatePolygon(contour, epsilon) {
+  if (contour.length < 3) return contour;
+  
+  // Find the point with max distance from line between first and last
+  let maxDist = 0;
+  let maxIdx = 0;
+  const first = contour[0];
+  const last = contour[contour.length - 1];
+  
+  for (let i = 1; i < contour.length - 1; i++) {
+    const dist = pointToLineDistance(contour[i], first, last);
+    if (dist > maxDist) {
+      maxDist = dist;
+      maxIdx = i;
+    }
+  }
+  
+  if (maxDist > epsilon) {
+    const left = approximatePolygon(contour.slice(0, maxIdx + 1), epsilon);
+    const right = approximatePolygon(contour.slice(maxIdx), epsilon);
+    return [...left.slice(0, -1), ...right];
+  }
+  
+  return [first, last];
+}
+
+/**
+ * Distance from point to line
+ */
+function pointToLineDistance(point, lineStart, lineEnd) {
+  const dx = lineEnd.x - lineStart.x;
+  const dy = lineEnd.y - lineStart.y;
+  const len = Math.sqrt(dx * dx + dy * dy);
+  
+  if (len === 0) {
+    return Math.sqrt(
+      Math.pow(point.x - lineStart.x, 2) + 
+      Math.pow(point.y - lineStart.y, 2)
+    );
+  }
+  
+  const t = Math.max(0, Math.min(1, 
+    ((point.x - lineStart.x) * dx + (point.y - lineStart.y) * dy) / (len * len)
+  ));
+  
+  const projX = lineStart.x + t * dx;
+  const projY = lineStart.y + t * dy;
+  
+  return Math.sqrt(
+    Math.pow(point.x - projX, 2) + 
+    Math.pow(point.y - projY, 2)
+  );
+}
+
+/**
+ * Find corner points using curvature analysis
+ */
+function findCorners(contour, numCorners = 4) {
+  if (contour.length < numCorners * 2) return [];
+  
+  // Sample points at regular intervals
+  const step = Math.max(1, Math.floor(contour.length / 100));
+  const sampledPoints = [];
+  for (let i = 0; i < contour.length; i += step) {
+    sampledPoints.push({ ...contour[i], originalIdx: i });
+  }
+  
+  // Calculate curvature at each point
+  const curvatures = [];
+  const windowSize = Math.max(3, Math.floor(sampledPoints.length / 20));
+  
+  for (let i = 0; i < sampledPoints.length; i++) {
+    const prev = sampledPoints[(i - windowSize + sampledPoints.length) % sampledPoints.length];
+    const curr = sampledPoints[i];
+    const next = sampledPoints[(i + windowSize) % sampledPoints.length];
+    
+    // Calculate angle
+    const v1x = curr.x - prev.x;
+    const v1y = curr.y - prev.y;
+    const v2x = next.x - curr.x;
+    const v2y = next.y - curr.y;
+    
+    const dot = v1x * v2x + v1y * v2y;
+    const len1 = Math.sqrt(v1x * v1x + v1y * v1y);
+    const len2 = Math.sqrt(v2x * v2x + v2y * v2y);
+    
+    if (len1 > 0 && len2 > 0) {
+      const cos = Math.max(-1, Math.min(1, dot / (len1 * len2)));
+      const angle = Math.acos(cos);
+      curvatures.push({ point: curr, curvature: Math.PI - angle, idx: i });
+    }
+  }
+  
+  // Sort by curvature (highest first = sharpest corners)
+  curvatures.sort((a, b) => b.curvature - a.curvature);
+  
+  // Select top corners with minimum distance between them
+  const corners = [];
+  const minDist = Math.min(
+    getBoundingBox(contour).width,
+    getBoundingBox(contour).height
+  ) * 0.2;
+  
+  for (const c of curvatures) {
+    let tooClose = false;
+    for (const corner of corners) {
+      const dx = c.point.x - corner.x;
+      const dy = c.point.y - corner.y;
+      if (Math.sqrt(dx * dx + dy * dy) < minDist) {
+        tooClose = true;
+        break;
+      }
+    }
+    
+    if (!tooClose) {
+      corners.push(c.point);
+      if (corners.length >= numCorners) break;
+    }
+  }
+  
+  return corners;
+}
+
+/**
+ * Order quadrilateral points: top-left, top-right, bottom-right, bottom-left
+ */
+function orderQuadPoints(points) {
+  if (points.length !== 4) return points;
+  
+  // Find centroid
+  const cx = points.reduce((sum, p) => sum + p.x, 0) / 4;
+  const cy = points.reduce((sum, p) => sum + p.y, 0) / 4;
+  
+  // Sort by angle from centroid
+  const sorted = [...points].sort((a, b) => {
+    const angleA = Math.atan2(a.y - cy, a.x - cx);
+    const angleB = Math.atan2(b.y - cy, b.x - cx);
+    return angleA - angleB;
+  });
+  
+  // Find top-left (smallest x + y sum)
+  let minSum = Infinity;
+  let startIdx = 0;
+  for (let i = 0; i < 4; i++) {
+    const sum = sorted[i].x + sorted[i].y;
+    if (sum < minSum) {
+      minSum = sum;
+      startIdx = i;
+    }
+  }
+  
+  // Reorder starting from top-left
+  const ordered = [];
+  for (let i = 0; i < 4; i++) {
+    ordered.push(sorted[(startIdx + i) % 4]);
+  }
+  
+  return ordered;
+}
+
+/**
+ * Check if polygon is convex
+ */
+function isConvex(points) {
+  if (points.length < 3) return false;
+  
+  let sign = 0;
+  const n = points.length;
+  
+  for (let i = 0; i < n; i++) {
+    const p1 = points[i];
+    const p2 = points[(i + 1) % n];
+    const p3 = points[(i + 2) % n];
+    
+    const cross = (p2.x - p1.x) * (p3.y - p2.y) - (p2.y - p1.y) * (p3.x - p2.x);
+    
+    if (cross !== 0) {
+      if (sign === 0) {
+        sign = cross > 0 ? 1 : -1;
+      } else if ((cross > 0 ? 1 : -1) !== sign) {
+        return false;
+      }
+    }
+  }
+  
+  return true;
+}
+
+/**
+ * Filter overlapping detections
+ * Candidates are visited in order; one is dropped when its polygon overlaps
+ * an already kept one by more than iouThreshold, or lies inside it by more
+ * than containmentThreshold (share of the candidate's own area).
+ * @param {Array<Object>} boundaries - Candidates, best first
+ * @param {Object} options - { iouThreshold, containmentThreshold }
+ * @returns {{kept: Array<Object>, suppressed: Array<{boundary: Object, reason: string, iou: number, containment: number}>}}
+ */
+function filterOverlapping(boundaries, options = {}) {
+  const {
+    iouThreshold = 0.5,
+    containmentThreshold = 0.9,
+  } = options;
+  
+  const kept = [];
+  const suppressed = [];
+  
+  for (const boundary of boundaries) {
+    let dropped = null;
+    
+    for (const other of kept) {
+      const { iou, aInB: containment } = polygonOverlap(boundary.points, other.points);
+      
+      if (iou > iouThreshold) {
+        dropped = { boundary, reason: 'overlap', iou, containment };
+      } else if (containment > containmentThreshold) {
+        dropped = { boundary, reason: 'contained', iou, containment };
+      }
+      if (dropped) break;
+    }
+    
+    if (dropped) {
+      suppressed.push(dropped);
+    } else {
+      kept.push(boundary);
+    }
+  }
+  
+  return { kept, suppressed };
+}
+
+/**
+ * Calculate IoU
+ */
+function calculateIoU(rect1, rect2) {
+  const x1 = Math.max(rect1.x, rect2.x);
+  const y1 = Math.max(rect1.y, rect2.y);
+  const x2 = Math.min(rect1.x + rect1.width, rect2.x + rect2.width);
+  const y2 = Math.min(rect1.y + rect1.height, rect2.y + rect2.height);
+  
+  if (x1 >= x2 || y1 >= y2) return 0;
+  
+  const intersection = (x2 - x1) * (y2 - y1);
+  const area1 = rect1.width * rect1.height;
+  const area2 = rect2.width * rect2.height;
+  const union = area1 + area2 - intersection;
+  
+  return intersection / union;
+}
+
+/**
+ * Union of nested boundary lists, dropping ones that repeat an earlier entry
+ */
+function mergeNested(boundaries) {
+  const merged = [];
+  for (const boundary of boundaries) {
+    if (!merged.some((m) => polygonOverlap(m.points, boundary.points).iou > 0.5)) {
+      merged.push(boundary);
+    }
+  }
+  return merged.sort((a, b) => b.area - a.area);
+}
+
+/**
+ * Replace wide quads that show a gutter by left and right pages sharing
+ * the spine edge; nested regions go to the page holding their centre
+ */
+function splitBookSpreads(boundaries, imageData, minSpreadAspect) {
+  const result = [];
+  
+  for (const boundary of boundaries) {
+    // Only quads wide enough for a spread are worth classifying
+    const gutter = boundary.points.length === 4 &&
+      isSpreadShaped(boundary.points, minSpreadAspect) &&
+      !isSingleSheet(imageData, boundary.points)
+      ? findGutter(imageData, boundary.points, { minSpreadAspect })
+      : null;
+    
+    if (!gutter) {
+      result.push(boundary);
+      continue;
+    }
+    
+    const [tl, tr, br, bl] = boundary.points;
+    const { top, bottom } = gutter;
+    // Each page keeps the spread's fits of its outer sides; the gutter has none
+    const [rTop, rRight, rBottom, rLeft] = boundary.sideResiduals || [null, null, null, null];
+    const pages = [
+      { type: 'book-spread-left', points: [tl, top, bottom, bl], sideResiduals: [rTop, null, rBottom, rLeft] },
+      { type: 'book-spread-right', points: [top, tr, br, bottom], sideResiduals: [rTop, rRight, rBottom, null] },
+    ].map(({ type, points, sideResiduals }) => {
+      const bbox = getBoundingBox(points);
+      // The spread's format measurements do not describe either page
+      const { classification, ...parent } = boundary;
+      return {
+        ...parent,
+        type,
+        points,
+        area: polygonArea(points),
+        aspectRatio: bbox.width / bbox.height,
+        boundingRect: bbox,
+        isConvex: isConvex(points),
+        angle: quadAngle(points),
+        sideResiduals,
+        gutter,
+        children: [],
+      };
+    });
+    
+    for (const child of boundary.children) {
+      const cx = child.points.reduce((sum, p) => sum + p.x, 0) / child.points.length;
+      const cy = child.points.reduce((sum, p) => sum + p.y, 0) / child.points.length;
+      // Positive cross product: left of the top-to-bottom spine line
+      const side = (bottom.x - top.x) * (cy - top.y) - (bottom.y - top.y) * (cx - top.x);
+      pages[side > 0 ? 0 : 1].children.push(child);
+    }
+    
+    result.push(...pages);
+  }
+  
+  return result;
+}
+
+/**
+ * Replace bounding-box aspect ratios with the physical ratio of each quad
+ * (see physicalAspect.js), optionally snapped to a paper size, and record
+ * the sides cut off by the image frame
+ */
+function measureGeometry(boundaries, imageData, options) {
+  const { snapPaperSize = false, focalLength = null } = options;
+  
+  for (const boundary of boundaries) {
+    if (boundary.points.length === 4) {
+      boundary.clippedSides = findClippedSides(boundary.points, imageData.width, imageData.height, 2, boundary.frameSides);
+      const estimate = estimateAspectRatio(boundary.points, imageData.width, imageData.height, { focalLength });
+      const snapped = snapPaperSize ? snapToPaperSize(estimate.ratio) : null;
+      boundary.aspectRatio = snapped ? snapped.ratio : estimate.ratio;
+      boundary.focalLength = estimate.focalLength;
+      boundary.paperSize = snapped ? snapped.paperSize : null;
+    }
+    measureGeometry(boundary.children || [], imageData, options);
+  }
+}
+
+/**
+ * Which way up each document is (see pageOrientation.js)
+ * Nested regions are left out: they are read with their document.
+ */
+function measureOrientations(boundaries, imageData) {
+  for (const boundary of boundaries) {
+    if (boundary.points.length !== 4) continue;
+    const { orientation, confidence } = estimateOrientation(imageData, boundary.points, {
+      aspectRatio: boundary.aspectRatio,
+    });
+    boundary.orientation = orientation;
+    boundary.orientationConfidence = confidence;
+  }
+}
+
+/**
+ * Capture quality report of each document (see captureQuality.js)
+ * Nested regions are left out, like for orientation.
+ */
+function measureQuality(boundaries, imageData, thresholds = {}) {
+  for (const boundary of boundaries) {
+    if (boundary.points.length !== 4) continue;
+    boundary.quality = assessCaptureQuality(imageData, boundary.points, {
+      aspectRatio: boundary.aspectRatio,
+      paperSize: boundary.type === 'id-card' ? 'ID-1' : boundary.paperSize,
+      thresholds,
+    });
+  }
+}
+
+/**
+ * Photos and cards show valleys in their content that are no gutter, and
+ * so does a page lying sideways, between its (vertical) text lines
+ */
+function isSingleSheet(imageData, points) {
+  const { type } = classifyDocument(imageData, points);
+  if (type === 'photo' || type === 'id-card') return true;
+  const { orientation, confidence } = estimateOrientation(imageData, points);
+  return (orientation === 90 || orientation === 270) && confidence >= 0.5;
+}
+
+/**
+ * Classify detections
+ * Formats come from documentTypes.js; side-by-side page-like quads of
+ * similar height become a book spread, anything unrecognized a
+ * (single-)document. Nested regions get a format type only.
+ */
+function classifyDetections(boundaries, imageData) {
+  if (boundaries.length === 0) return;
+  
+  for (const boundary of boundaries) {
+    if (!boundary.type) classifyBoundary(boundary, imageData);
+    classifyNested(boundary.children || [], imageData);
+  }
+  
+  // Check for book spread
+  const pageLike = boundaries.filter((b) => !b.type || b.type === 'a-series' || b.type === 'letter');
+  if (pageLike.length >= 2) {
+    const sorted = [...pageLike].sort((a, b) => 
+      a.boundingRect.x - b.boundingRect.x
+    );
+    
+    for (let i = 0; i < sorted.length - 1; i++) {
+      const left = sorted[i];
+      const right = sorted[i + 1];
+      
+      const gap = right.boundingRect.x - (left.boundingRect.x + left.boundingRect.width);
+      const avgWidth = (left.boundingRect.width + right.boundingRect.width) / 2;
+      const heightDiff = Math.abs(left.boundingRect.height - right.boundingRect.height);
+      const avgHeight = (left.boundingRect.height + right.boundingRect.height) / 2;
+      const overlap = Math.min(left.boundingRect.y + left.boundingRect.height, right.boundingRect.y + right.boundingRect.height) -
+        Math.max(left.boundingRect.y, right.boundingRect.y);
+      
+      // Pages of a spread sit next to each other, not above one another
+      if (gap < avgWidth * 0.3 && heightDiff < avgHeight * 0.3 && overlap > avgHeight * 0.5) {
+        left.type = 'book-spread-left';
+        right.type = 'book-spread-right';
+      }
+    }
+  }
+  
+  for (const boundary of boundaries) {
+    if (!boundary.type) {
+      boundary.type = boundaries.length === 1 ? 'single-document' : 'document';
+    }
+  }
+}
+
+function classifyNested(children, imageData) {
+  for (const child of children) {
+    delete child.type;
+    classifyBoundary(child, imageData);
+    if (!child.type) child.type = 'document';
+    classifyNested(child.children || [], imageData);
+  }
+}
+
+function classifyBoundary(boundary, imageData) {
+  if (boundary.points.length !== 4) return;
+  const { type, ...classification } = classifyDocument(imageData, boundary.points, {
+    aspectRatio: boundary.aspectRatio,
+  });
+  boundary.classification = classification;
+  if (type) boundary.type = type;
+}
+
+/**
+ * Registered parameter sets for detectDocumentsEnhancedCore, run in order
+ */
+const strategyRegistry = new Map([
+  ['default', {}],
+  ['low-threshold', { edgeThreshold: 30, minAreaRatio: 0.03 }],
+  ['high-threshold', { edgeThreshold: 70, blurRadius: 3 }],
+  ['wide-area', { minAreaRatio: 0.01, maxAreaRatio: 0.98 }],
+  ['lines', { strategy: 'lines' }],
+  ['color', { colorSegmentation: 'lab' }],
+  ['auto', { auto: true }],
+]);
+
+/**
+ * Register (or replace) a named strategy parameter set
+ * Registrations are per JavaScript realm: a worker keeps its own registry,
+ * so pass `customStrategies` in the options when detecting through one.
+ * @param {string} name - Strategy name reported on boundaries
+ * @param {Object} params - Detection options overriding the base options
+ */
+export function registerDetectionStrategy(name, params) {
+  strategyRegistry.set(name, { ...params });
+}
+
+/**
+ * Remove a registered strategy
+ */
+export function unregisterDetectionStrategy(name) {
+  return strategyRegistry.delete(name);
+}
+
+/**
+ * Names of the registered strategies, in run order
+ */
+export function getDetectionStrategies() {
+  return [...strategyRegistry.keys()];
+}
+
+/**
+ * Run several parameter strategies and fuse their candidates
+ * Every strategy (or those named in `strategies`, up to `maxStrategies`)
+ * runs; candidates from all of them are ranked by confidence and
+ * overlapping ones are merged, keeping the best-scored boundary. Each
+ * boundary reports the `strategy` that produced it and the
+ * `supportingStrategies` that found the same document.
+ * In pyramid mode every strategy runs on the same reduced copy, and only the
+ * fused boundaries are refined at full resolution; gutters, orientation and
+ * quality are likewise looked at once, on the fused documents.
+ * @param {{data: Uint8ClampedArray, width: number, height: number}} imageData - RGBA pixels
+ * @param {Object} baseOptions - Options shared by every strategy, plus
+ *   strategies (names to run), customStrategies ({name: params}) and maxStrategies
+ * @returns {Object} Same shape as detectDocumentsCore
+ */
+export function detectDocumentsEnhancedCore(imageData, baseOptions = {}) {
+  const {
+    onProgress = null,
+    strategies: strategyNames = null,
+    customStrategies = {},
+    maxStrategies = Infinity,
+    ...options
+  } = baseOptions;
+  
+  const available = new Map([...strategyRegistry, ...Object.entries(customStrategies)]);
+  const names = (strategyNames || [...available.keys()])
+    .filter((name) => available.has(name))
+    .slice(0, maxStrategies);
+  
+  const {
+    pyramid = false,
+    pyramidMaxSize = 1000,
+    splitSpreads = true,
+    minSpreadAspect = 1.15,
+    focalLength = null,
+  } = options;
+  const factor = pyramid ? Math.ceil(Math.max(imageData.width, imageData.height) / pyramidMaxSize) : 1;
+  const source = factor > 1 ? downscaleImageData(imageData, factor) : imageData;
+  
+  const runs = [];
+  const candidates = [];
+  
+  for (let s = 0; s < names.length; s++) {
+    const name = names[s];
+    
+    // Progress within a strategy is scaled to its share of the whole run
+    const strategyProgress = onProgress && (({ stage, progress }) => onProgress({
+      stage,
+      strategy: s + 1,
+      strategies: names.length,
+      progress: (s + progress) / names.length,
+    }));
+    
+    try {
+      const result = detectDocumentsCore(source, {
+        ...options,
+        ...available.get(name),
+        pyramid: false,
+        focalLength: focalLength && focalLength / factor,
+        splitSpreads: false,
+        detectOrientation: false,
+        assessQuality: false,
+        onProgress: strategyProgress,
+      });
+      
+      runs.push({ name, result });
+      for (const boundary of result.boundaries) {
+        candidates.push({ ...boundary, strategy: name });
+      }
+    } catch (e) {
+      console.warn(`Strategy "${name}" failed:`, e);
+    }
+  }
+  
+  if (onProgress) onProgress({ stage: 'fusion', progress: 1 });
+  
+  if (runs.length === 0) {
+    return {
+      boundaries: [],
+      suppressed: [],
+      intermediate: {},
+      intermediateSize: { width: imageData.width, height: imageData.height },
+      width: imageData.width,
+      height: imageData.height,
+      stats: { totalDetected: 0, processingPipeline: [], strategiesRun: [] }
+    };
+  }
+  
+  // Best-scored first, so each overlap cluster keeps its strongest member
+  candidates.sort((a, b) => (b.confidence - a.confidence) || (b.area - a.area));
+  // Containment is resolved below by nesting rather than suppression
+  const { iouThreshold = 0.5, containmentThreshold = 0.9 } = options;
+  const { kept: fused, suppressed } = filterOverlapping(candidates, {
+    iouThreshold,
+    containmentThreshold: Infinity,
+  });
+  
+  for (const boundary of fused) {
+    const matches = candidates.filter((c) => polygonOverlap(c.points, boundary.points).iou > iouThreshold);
+    boundary.supportingStrategies = [...new Set(matches.map((c) => c.strategy))];
+    // Nested regions found by any strategy that saw the same document
+    boundary.children = mergeNested(matches.flatMap((c) => c.children));
+    delete boundary.type;
+  }
+  
+  // A boundary inside a larger one is a nested region, not another document
+  fused.sort((a, b) => b.area - a.area);
+  const topLevel = [];
+  for (const boundary of fused) {
+    const outer = topLevel.find((o) => polygonOverlap(boundary.points, o.points).aInB > containmentThreshold);
+    if (!outer) {
+      topLevel.push(boundary);
+    } else if (!outer.children.some((c) => polygonOverlap(c.points, boundary.points).iou > iouThreshold)) {
+      outer.children.push(boundary);
+    }
+  }
+  
+  // Debug images come from the strategy behind the best boundary
+  const leader = topLevel.length > 0
+    ? runs.find((run) => run.name === topLevel[0].strategy)
+    : runs[0];
+  const pipeline = [...leader.result.stats.processingPipeline];
+  
+  let boundaries = topLevel;
+  let suppressedBoundaries = suppressed;
+  if (factor > 1) {
+    const { refineRadius = Math.max(24, factor * 8) } = options;
+    boundaries = topLevel.map((boundary) => {
+      const run = runs.find((r) => r.name === boundary.strategy);
+      const minGradient = run.result.stats.parameters.edgeThreshold;
+      return refineUpscaled(boundary, imageData, factor, { refineRadius, minGradient });
+    });
+    suppressedBoundaries = suppressed.map((entry) => ({
+      ...entry,
+      boundary: upscaleBoundary(entry.boundary, factor),
+    }));
+    pipeline.unshift('downscale');
+    pipeline.push('refine');
+  }
+  if (splitSpreads) {
+    boundaries = splitBookSpreads(boundaries, imageData, minSpreadAspect);
+    pipeline.push('gutter');
+  }
+  measureGeometry(boundaries, imageData, options);
+  classifyDetections(boundaries, imageData);
+  if (options.detectOrientation !== false) measureOrientations(boundaries, imageData);
+  if (options.assessQuality !== false) measureQuality(boundaries, imageData, options.qualityThresholds);
+  
+  if (onProgress) onProgress({ stage: 'done', progress: 1 });
+  
+  return {
+    ...leader.result,
+    boundaries,
+    suppressed: suppressedBoundaries,
+    // Intermediate buffers stay at the size strategies ran at (intermediateSize)
+    width: imageData.width,
+    height: imageData.height,
+    stats: {
+      ...leader.result.stats,
+      ...(factor > 1 && { pyramidFactor: factor }),
+      processingPipeline: pipeline,
+      totalDetected: boundaries.length,
+      totalSuppressed: suppressed.length,
+      strategiesRun: runs.map((run) => ({
+        name: run.name,
+        detected: run.result.boundaries.length,
+        parameters: run.result.stats.parameters,
+      })),
+    }
+  };
+}
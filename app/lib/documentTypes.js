@@ -0,0 +1,196 @@
+/**
+ * Document type classification
+ * Tells common formats apart from three measurements of a detected quad:
+ * - aspect ratio (long side over short side of the physical document,
+ *   see physicalAspect.js)
+ * - corner rounding, from how far the background reaches in along each
+ *   corner's bisector
+ * - content density, the share of the interior that is neither paper nor
+ *   paper-coloured
+ */
+
+import { quadPoint } from './bookSpread.js';
+import { estimateAspectRatio } from './physicalAspect.js';
+import { distance } from './quadGeometry.js';
+
+// Long side / short side of the reference formats
+const ID_1_RATIO = 85.6 / 54;
+const A_SERIES_RATIO = Math.SQRT2;
+const LETTER_RATIO = 11 / 8.5;
+const BUSINESS_CARD_RATIOS = [1.5, 1.85];
+const PHOTO_RATIOS = [1.25, 1.85];
+const MIN_RECEIPT_RATIO = 2.2;
+
+/**
+ * Classify one quad by format
+ * @param {{data: Uint8ClampedArray, width: number, height: number}} imageData - RGBA pixels
+ * @param {Array<{x: number, y: number}>} points - Ordered quad (TL, TR, BR, BL)
+ * @param {Object} options - { aspectRatio, ratioTolerance, minCornerRounding, photoDensity }
+ *   aspectRatio is the quad's width:height when already known;
+ *   minCornerRounding is a corner radius as a fraction of the short side;
+ *   photoDensity the content density above which a quad counts as a photo
+ * @returns {{type: string|null, aspectRatio: number, cornerRounding: number, contentDensity: number}}
+ *   type is null when no format fits; the measurements are returned either way
+ */
+export function classifyDocument(imageData, points, options = {}) {
+  const {
+    aspectRatio: knownRatio = null,
+    ratioTolerance = 0.05,
+    minCornerRounding = 0.03,
+    photoDensity = 0.6,
+  } = options;
+
+  const ratio = knownRatio || estimateAspectRatio(points, imageData.width, imageData.height).ratio;
+  const aspectRatio = Math.max(ratio, 1 / ratio);
+  const cornerRounding = measureCornerRounding(imageData, points);
+  const contentDensity = measureContentDensity(imageData, points);
+
+  const near = (ratio) => Math.abs(aspectRatio - ratio) <= ratio * ratioTolerance;
+  const within = ([low, high]) => aspectRatio >= low && aspectRatio <= high;
+  let type = null;
+
+  if (near(ID_1_RATIO) && cornerRounding >= minCornerRounding) {
+    type = 'id-card';
+  } else if (aspectRatio >= MIN_RECEIPT_RATIO && contentDensity < photoDensity) {
+    type = 'receipt';
+  } else if (within(PHOTO_RATIOS) && contentDensity >= photoDensity) {
+    type = 'photo';
+  } else if (near(A_SERIES_RATIO)) {
+    type = 'a-series';
+  } else if (near(LETTER_RATIO)) {
+    type = 'letter';
+  } else if (within(BUSINESS_CARD_RATIOS)) {
+    type = 'business-card';
+  }
+
+  return { type, aspectRatio, cornerRounding, contentDensity };
+}
+
+/**
+ * Median corner radius as a fraction of the short side
+ * On a rounded corner of radius r the background reaches r(sqrt(2) - 1)
+ * further along the bisector than on a square one. Detected quads often sit
+ * a little outside the document, so the reach a square corner would have
+ * is taken from how far each side lies off the document next to the corner.
+ */
+function measureCornerRounding(imageData, points) {
+  const [tl, tr, br, bl] = points;
+  const short = Math.min(
+    (distance(tl, tr) + distance(bl, br)) / 2,
+    (distance(tl, bl) + distance(tr, br)) / 2
+  );
+  if (short < 20) return 0;
+
+  const documentLevel = median(interiorSamples(imageData, points, 0.1, 0.9, 8));
+  const maxReach = short * 0.15;
+  const radii = [];
+
+  for (let i = 0; i < 4; i++) {
+    const corner = points[i];
+    const next = points[(i + 1) % 4];
+    const previous = points[(i + 3) % 4];
+    const a = unit(corner, next);
+    const b = unit(corner, previous);
+    const bisector = normalize({ x: a.x + b.x, y: a.y + b.y });
+
+    // Background level just outside the corner
+    const backgroundLevel = grayAt(imageData, corner.x - bisector.x * 4, corner.y - bisector.y * 4);
+    if (Math.abs(documentLevel - backgroundLevel) < 20) continue;
+    const midpoint = (documentLevel + backgroundLevel) / 2;
+    const isDocument = (p) => {
+      const value = grayAt(imageData, p.x, p.y);
+      return documentLevel > backgroundLevel ? value > midpoint : value < midpoint;
+    };
+
+    // Along a side, 20% of the short side away from the corner, the
+    // document starts this far in (the other side's direction is inward)
+    const along = short * 0.2;
+    const offsetA = reachInward(isDocument, { x: corner.x + a.x * along, y: corner.y + a.y * along }, b, maxReach);
+    const offsetB = reachInward(isDocument, { x: corner.x + b.x * along, y: corner.y + b.y * along }, a, maxReach);
+    const reach = reachInward(isDocument, corner, bisector, maxReach);
+    if (offsetA === null || offsetB === null || reach === null) continue;
+
+    const squareReach = Math.sqrt(offsetA * offsetA + offsetB * offsetB);
+    radii.push(Math.max(0, reach - squareReach - 1) / (Math.SQRT2 - 1));
+  }
+
+  if (radii.length < 2) return 0;
+  return median(radii) / short;
+}
+
+/**
+ * Distance from a point along a direction to the first document pixel
+ */
+function reachInward(isDocument, from, direction, maxReach) {
+  for (let d = 0; d <= maxReach; d += 0.5) {
+    if (isDocument({ x: from.x + direction.x * d, y: from.y + direction.y * d })) return d;
+  }
+  return null;
+}
+
+/**
+ * Share of interior samples far from the paper colour
+ * Paper is taken as the bright end of the interior; text covers little of
+ * a page, a photo covers most of itself.
+ */
+function measureContentDensity(imageData, points) {
+  const samples = interiorSamples(imageData, points, 0.08, 0.92, 40, true);
+  if (samples.length === 0) return 0;
+
+  const levels = samples.map((s) => s.gray).sort((a, b) => a - b);
+  const paper = levels[Math.floor(levels.length * 0.85)];
+
+  let dense = 0;
+  for (const s of samples) {
+    if (paper - s.gray > 50 || s.chroma > 60) dense++;
+  }
+  return dense / samples.length;
+}
+
+/**
+ * Grid of samples over the quad's (u, v) range [from, to]
+ */
+function interiorSamples(imageData, points, from, to, steps, withChroma = false) {
+  const samples = [];
+
+  for (let j = 0; j < steps; j++) {
+    const v = from + ((to - from) * (j + 0.5)) / steps;
+    for (let i = 0; i < steps; i++) {
+      const u = from + ((to - from) * (i + 0.5)) / steps;
+      const p = quadPoint(points, u, v);
+      const x = Math.min(imageData.width - 1, Math.max(0, Math.round(p.x)));
+      const y = Math.min(imageData.height - 1, Math.max(0, Math.round(p.y)));
+      const idx = (y * imageData.width + x) * 4;
+      const r = imageData.data[idx];
+      const g = imageData.data[idx + 1];
+      const b = imageData.data[idx + 2];
+      const gray = 0.299 * r + 0.587 * g + 0.114 * b;
+
+      samples.push(withChroma ? { gray, chroma: Math.max(r, g, b) - Math.min(r, g, b) } : gray);
+    }
+  }
+
+  return samples;
+}
+
+function grayAt(imageData, px, py) {
+  const x = Math.min(imageData.width - 1, Math.max(0, Math.round(px)));
+  const y = Math.min(imageData.height - 1, Math.max(0, Math.round(py)));
+  const i = (y * imageData.width + x) * 4;
+  return 0.299 * imageData.data[i] + 0.587 * imageData.data[i + 1] + 0.114 * imageData.data[i + 2];
+}
+
+function unit(from, to) {
+  return normalize({ x: to.x - from.x, y: to.y - from.y });
+}
+
+function normalize(v) {
+  const length = Math.sqrt(v.x * v.x + v.y * v.y) || 1;
+  return { x: v.x / length, y: v.y / length };
+}
+
+function median(values) {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+}
@@ -0,0 +1,362 @@
+/**
+ * Document Warp - Perspective-corrected extraction
+ * Turns a detected quadrilateral into a flat, upright page image
+ *
+ * Pipeline:
+ * 1. Output size estimation (from quad side lengths, or the physical aspect ratio)
+ * 2. Homography from output rectangle to source quad
+ * 3. Inverse mapping with bilinear or bicubic resampling
+ *
+ * Book pages can instead be dewarped: their curved edges and text lines
+ * are modelled (see pageDewarp.js) and resampled into a flat rectangle.
+ * Pages photographed sideways or upside down are turned upright by the
+ * boundary's estimated orientation (see pageOrientation.js).
+ */
+
+import { getImageData } from './documentDetector.js';
+import { buildPageModel } from './pageDewarp.js';
+
+/**
+ * Extract a detected document as a rectified canvas
+ * @param {HTMLImageElement|HTMLCanvasElement} source - Image the boundary was detected on
+ * @param {Object} boundary - Boundary from detectDocuments (4 ordered points)
+ * @param {Object} options - Warp options (width, height, aspectRatio, interpolation,
+ *   dewarp, autoRotate, minOrientationConfidence)
+ *   dewarp flattens boundaries classified as book pages; others are warped
+ *   as plain quads. autoRotate (default true) applies the boundary's
+ *   orientation when its confidence reaches minOrientationConfidence
+ *   (0.5 by default);
+ *   width and height are those before rotation.
+ * @returns {HTMLCanvasElement} Canvas holding the upright document
+ */
+export function warpDocument(source, boundary, options = {}) {
+  const { autoRotate = true, minOrientationConfidence = 0.5 } = options;
+  const imageData = getImageData(source);
+  // The boundary's physical aspect ratio sets the output proportions
+  const warpOptions = { aspectRatio: boundary.aspectRatio, ...options };
+  const flat = options.dewarp && isBookPage(boundary)
+    ? dewarpImageData(imageData, boundary.points, warpOptions)
+    : warpImageData(imageData, boundary.points, warpOptions);
+  const rotate = autoRotate && boundary.orientation && boundary.orientationConfidence >= minOrientationConfidence;
+  const warped = rotate ? rotateImageData(flat, boundary.orientation) : flat;
+
+  const canvas = document.createElement('canvas');
+  canvas.width = warped.width;
+  canvas.height = warped.height;
+  const ctx = canvas.getContext('2d');
+  const output = ctx.createImageData(warped.width, warped.height);
+  output.data.set(warped.data);
+  ctx.putImageData(output, 0, 0);
+
+  return canvas;
+}
+
+/**
+ * Warp an RGBA buffer region into an upright rectangle
+ * @param {{data: Uint8ClampedArray, width: number, height: number}} imageData - RGBA source
+ * @param {Array<{x: number, y: number}>} points - Quad corners (TL, TR, BR, BL)
+ * @param {Object} options - Warp options (width, height, aspectRatio, interpolation)
+ * @returns {{data: Uint8ClampedArray, width: number, height: number}}
+ */
+export function warpImageData(imageData, points, options = {}) {
+  if (!points || points.length !== 4) {
+    throw new Error('Perspective warp requires a quadrilateral with 4 points');
+  }
+
+  const size = getOutputSize(points, options.aspectRatio);
+  const {
+    width = size.width,
+    height = size.height,
+    interpolation = 'bilinear',
+  } = options;
+
+  const outWidth = Math.max(1, Math.round(width));
+  const outHeight = Math.max(1, Math.round(height));
+
+  // Map output pixel centres back into the source quad
+  const destination = [
+    { x: 0, y: 0 },
+    { x: outWidth - 1, y: 0 },
+    { x: outWidth - 1, y: outHeight - 1 },
+    { x: 0, y: outHeight - 1 },
+  ];
+  const matrix = getPerspectiveTransform(destination, points);
+
+  const sample = interpolation === 'bicubic' ? sampleBicubic : sampleBilinear;
+  const result = new Uint8ClampedArray(outWidth * outHeight * 4);
+  const pixel = [0, 0, 0, 0];
+
+  for (let y = 0; y < outHeight; y++) {
+    for (let x = 0; x < outWidth; x++) {
+      const w = matrix[6] * x + matrix[7] * y + matrix[8];
+      const sx = (matrix[0] * x + matrix[1] * y + matrix[2]) / w;
+      const sy = (matrix[3] * x + matrix[4] * y + matrix[5]) / w;
+
+      sample(imageData, sx, sy, pixel);
+
+      const idx = (y * outWidth + x) * 4;
+      result[idx] = pixel[0];
+      result[idx + 1] = pixel[1];
+      result[idx + 2] = pixel[2];
+      result[idx + 3] = pixel[3];
+    }
+  }
+
+  return { data: result, width: outWidth, height: outHeight };
+}
+
+/**
+ * Flatten a curved book page into an upright rectangle
+ * Follows the page's curved top and bottom edges (and its text lines where
+ * they can be measured) instead of the straight sides of the quad, and
+ * stretches the foreshortened columns near the gutter back out.
+ * @param {{data: Uint8ClampedArray, width: number, height: number}} imageData - RGBA source
+ * @param {Array<{x: number, y: number}>} points - Page corners (TL, TR, BR, BL)
+ * @param {Object} options - Warp options plus the page model options of buildPageModel
+ * @returns {{data: Uint8ClampedArray, width: number, height: number}}
+ */
+export function dewarpImageData(imageData, points, options = {}) {
+  if (!points || points.length !== 4) {
+    throw new Error('Page dewarp requires a quadrilateral with 4 points');
+  }
+
+  const model = buildPageModel(imageData, points, options);
+  const {
+    width = model.width,
+    height = model.height,
+    interpolation = 'bilinear',
+  } = options;
+
+  const outWidth = Math.max(1, Math.round(width));
+  const outHeight = Math.max(1, Math.round(height));
+
+  const sample = interpolation === 'bicubic' ? sampleBicubic : sampleBilinear;
+  const result = new Uint8ClampedArray(outWidth * outHeight * 4);
+  const pixel = [0, 0, 0, 0];
+
+  for (let y = 0; y < outHeight; y++) {
+    const t = outHeight > 1 ? y / (outHeight - 1) : 0;
+    for (let x = 0; x < outWidth; x++) {
+      const s = outWidth > 1 ? x / (outWidth - 1) : 0;
+      const point = model.map(s, t);
+
+      sample(imageData, point.x, point.y, pixel);
+
+      const idx = (y * outWidth + x) * 4;
+      result[idx] = pixel[0];
+      result[idx + 1] = pixel[1];
+      result[idx + 2] = pixel[2];
+      result[idx + 3] = pixel[3];
+    }
+  }
+
+  return { data: result, width: outWidth, height: outHeight };
+}
+
+/**
+ * Rotate an RGBA buffer clockwise by a multiple of 90 degrees
+ * @param {{data: Uint8ClampedArray, width: number, height: number}} imageData - RGBA source
+ * @param {number} degrees - 0, 90, 180 or 270
+ * @returns {{data: Uint8ClampedArray, width: number, height: number}}
+ */
+export function rotateImageData(imageData, degrees) {
+  const turns = ((Math.round(degrees / 90) % 4) + 4) % 4;
+  if (turns === 0) return imageData;
+
+  const { data, width, height } = imageData;
+  const outWidth = turns === 2 ? width : height;
+  const outHeight = turns === 2 ? height : width;
+  const result = new Uint8ClampedArray(data.length);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let ox = x;
+      let oy = y;
+      if (turns === 1) {
+        ox = height - 1 - y;
+        oy = x;
+      } else if (turns === 2) {
+        ox = width - 1 - x;
+        oy = height - 1 - y;
+      } else {
+        ox = y;
+        oy = width - 1 - x;
+      }
+      const from = (y * width + x) * 4;
+      const to = (oy * outWidth + ox) * 4;
+      result[to] = data[from];
+      result[to + 1] = data[from + 1];
+      result[to + 2] = data[from + 2];
+      result[to + 3] = data[from + 3];
+    }
+  }
+
+  return { data: result, width: outWidth, height: outHeight };
+}
+
+/**
+ * Compute the 3x3 homography mapping 4 source points onto 4 destination points
+ * @returns {Array<number>} Row-major matrix with h33 = 1
+ */
+export function getPerspectiveTransform(src, dst) {
+  const A = [];
+  const b = [];
+
+  for (let i = 0; i < 4; i++) {
+    const { x, y } = src[i];
+    const { x: u, y: v } = dst[i];
+    A.push([x, y, 1, 0, 0, 0, -x * u, -y * u]);
+    b.push(u);
+    A.push([0, 0, 0, x, y, 1, -x * v, -y * v]);
+    b.push(v);
+  }
+
+  const h = solveLinearSystem(A, b);
+  if (!h) {
+    throw new Error('Degenerate quadrilateral: cannot compute perspective transform');
+  }
+
+  return [...h, 1];
+}
+
+/**
+ * Apply a homography to a single point
+ */
+export function applyTransform(matrix, point) {
+  const w = matrix[6] * point.x + matrix[7] * point.y + matrix[8];
+  return {
+    x: (matrix[0] * point.x + matrix[1] * point.y + matrix[2]) / w,
+    y: (matrix[3] * point.x + matrix[4] * point.y + matrix[5]) / w,
+  };
+}
+
+function isBookPage(boundary) {
+  return boundary.type === 'book-spread-left' || boundary.type === 'book-spread-right';
+}
+
+/**
+ * Output size from the longest of each pair of opposite sides; with a known
+ * width:height ratio the longer dimension is kept and the other follows
+ */
+function getOutputSize(points, aspectRatio) {
+  const [tl, tr, br, bl] = points;
+  const dist = (a, b) => Math.sqrt((a.x - b.x) ** 2 + (a.y - b.y) ** 2);
+  const width = Math.max(dist(tl, tr), dist(bl, br));
+  const height = Math.max(dist(tl, bl), dist(tr, br));
+
+  if (!aspectRatio) return { width, height };
+  return width >= height
+    ? { width, height: width / aspectRatio }
+    : { width: height * aspectRatio, height };
+}
+
+/**
+ * Gaussian elimination with partial pivoting
+ * @returns {Array<number>|null} Solution, or null for a singular system
+ */
+export function solveLinearSystem(A, b) {
+  const n = b.length;
+  const m = A.map((row, i) => [...row, b[i]]);
+
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < n; row++) {
+      if (Math.abs(m[row][col]) > Math.abs(m[pivot][col])) pivot = row;
+    }
+    if (Math.abs(m[pivot][col]) < 1e-12) return null;
+    [m[col], m[pivot]] = [m[pivot], m[col]];
+
+    for (let row = col + 1; row < n; row++) {
+      const factor = m[row][col] / m[col][col];
+      for (let k = col; k <= n; k++) {
+        m[row][k] -= factor * m[col][k];
+      }
+    }
+  }
+
+  const x = new Array(n);
+  for (let row = n - 1; row >= 0; row--) {
+    let sum = m[row][n];
+    for (let k = row + 1; k < n; k++) {
+      sum -= m[row][k] * x[k];
+    }
+    x[row] = sum / m[row][row];
+  }
+
+  return x;
+}
+
+/**
+ * Bilinear sampling with edge clamping
+ */
+function sampleBilinear(imageData, x, y, out) {
+  const { data, width, height } = imageData;
+  const cx = Math.min(Math.max(x, 0), width - 1);
+  const cy = Math.min(Math.max(y, 0), height - 1);
+  const x0 = Math.floor(cx);
+  const y0 = Math.floor(cy);
+  const x1 = Math.min(x0 + 1, width - 1);
+  const y1 = Math.min(y0 + 1, height - 1);
+  const fx = cx - x0;
+  const fy = cy - y0;
+
+  const i00 = (y0 * width + x0) * 4;
+  const i10 = (y0 * width + x1) * 4;
+  const i01 = (y1 * width + x0) * 4;
+  const i11 = (y1 * width + x1) * 4;
+
+  for (let c = 0; c < 4; c++) {
+    const top = data[i00 + c] + (data[i10 + c] - data[i00 + c]) * fx;
+    const bottom = data[i01 + c] + (data[i11 + c] - data[i01 + c]) * fx;
+    out[c] = top + (bottom - top) * fy;
+  }
+}
+
+/**
+ * Bicubic (Keys, a = -0.5) sampling with edge clamping
+ */
+function sampleBicubic(imageData, x, y, out) {
+  const { data, width, height } = imageData;
+  const cx = Math.min(Math.max(x, 0), width - 1);
+  const cy = Math.min(Math.max(y, 0), height - 1);
+  const x0 = Math.floor(cx);
+  const y0 = Math.floor(cy);
+  const fx = cx - x0;
+  const fy = cy - y0;
+
+  const wx = cubicWeights(fx);
+  const wy = cubicWeights(fy);
+
+  out[0] = out[1] = out[2] = out[3] = 0;
+
+  for (let j = 0; j < 4; j++) {
+    const py = Math.min(Math.max(y0 + j - 1, 0), height - 1);
+    for (let i = 0; i < 4; i++) {
+      const px = Math.min(Math.max(x0 + i - 1, 0), width - 1);
+      const weight = wx[i] * wy[j];
+      const idx = (py * width + px) * 4;
+      out[0] += data[idx] * weight;
+      out[1] += data[idx + 1] * weight;
+      out[2] += data[idx + 2] * weight;
+      out[3] += data[idx + 3] * weight;
+    }
+  }
+}
+
+function cubicWeights(t) {
+  const a = -0.5;
+  const weights = [];
+
+  for (let i = -1; i <= 2; i++) {
+    const d = Math.abs(t - i);
+    if (d <= 1) {
+      weights.push((a + 2) * d * d * d - (a + 3) * d * d + 1);
+    } else if (d < 2) {
+      weights.push(a * d * d * d - 5 * a * d * d + 8 * a * d - 4 * a);
+    } else {
+      weights.push(0);
+    }
+  }
+
+  return weights;
+}
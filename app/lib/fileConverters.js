@@ -4,6 +4,8 @@
  * All operations are client-side only
  */
 
+import { estimateSkew, deskewImageData } from './deskew.js';
+
 // Dynamic imports for client-side only libraries
 let pdfjsLib = null;
 let mammoth = null;
@@ -40,13 +42,14 @@ async function getMammoth() {
  * Convert PDF file to array of image data URLs
  * @param {File} file - PDF file
  * @param {Object} options - Conversion options
- * @returns {Promise<Array<{dataUrl: string, pageNum: number}>>}
+ * @returns {Promise<Array<{dataUrl: string, pageNum: number, skew: Object}>>}
  */
 export async function pdfToImages(file, options = {}) {
   const {
     scale = 2.0,        // Render scale (higher = better quality)
     maxPages = 10,      // Maximum pages to process
-    backgroundColor = '#ffffff'
+    backgroundColor = '#ffffff',
+    deskew = true       // Straighten scanned pages with skewed text
   } = options;
 
   const pdfjs = await getPdfjs();
@@ -76,11 +79,14 @@ export async function pdfToImages(file, options = {}) {
       viewport: viewport
     }).promise;
 
+    const skew = deskew ? straightenCanvas(canvas) : null;
+
     images.push({
       dataUrl: canvas.toDataURL('image/png'),
       pageNum,
       width: canvas.width,
-      height: canvas.height
+      height: canvas.height,
+      skew
     });
   }
 
@@ -91,7 +97,7 @@ export async function pdfToImages(file, options = {}) {
  * Convert DOCX file to HTML and then render to image
  * @param {File} file - DOCX file
  * @param {Object} options - Conversion options
- * @returns {Promise<{dataUrl: string, html: string}>}
+ * @returns {Promise<{dataUrl: string, html: string, skew: Object}>}
  */
 export async function docxToImage(file, options = {}) {
   const {
@@ -100,7 +106,8 @@ export async function docxToImage(file, options = {}) {
     backgroundColor = '#ffffff',
     textColor = '#000000',
     fontFamily = 'Georgia, serif',
-    fontSize = 16
+    fontSize = 16,
+    deskew = true
   } = options;
 
   const mammothLib = await getMammoth();
@@ -187,14 +194,40 @@ export async function docxToImage(file, options = {}) {
   // Clean up
   document.body.removeChild(container);
 
+  const skew = deskew ? straightenCanvas(canvas) : null;
+
   return {
     dataUrl: canvas.toDataURL('image/png'),
     html: result.value,
     width: canvas.width,
-    height: Math.max(height, y + padding)
+    height: Math.max(height, y + padding),
+    skew
   };
 }
 
+/**
+ * Measure the skew of the text on a rendered page and rotate it out in place
+ * @param {HTMLCanvasElement} canvas - Rendered page
+ * @param {Object} options - { minAngle, minConfidence } below either the
+ *   page is left as it is
+ * @returns {{angle: number, confidence: number, corrected: boolean}} angle in
+ *   degrees the text ran clockwise of horizontal
+ */
+function straightenCanvas(canvas, options = {}) {
+  const { minAngle = 0.1, minConfidence = 0.3 } = options;
+  const ctx = canvas.getContext('2d');
+  const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+  const { angle, confidence } = estimateSkew(imageData);
+
+  const corrected = confidence >= minConfidence && Math.abs(angle) >= minAngle;
+  if (corrected) {
+    const straight = deskewImageData(imageData, angle);
+    ctx.putImageData(new ImageData(straight.data, straight.width, straight.height), 0, 0);
+  }
+
+  return { angle, confidence, corrected };
+}
+
 /**
  * Wrap text to fit within a given width
  */
@@ -286,10 +319,13 @@ export function getFileType(file) {
 
 /**
  * Process any supported file type and return images for detection
+ * PDF and DOCX pages come back straightened, with the measured skew.
  * @param {File} file - File to process
- * @returns {Promise<Array<{image: HTMLImageElement, source: string, pageNum?: number}>>}
+ * @param {Object} options - { deskew }
+ * @returns {Promise<Array<{image: HTMLImageElement, source: string, pageNum?: number, skew?: Object}>>}
  */
-export async function processFile(file) {
+export async function processFile(file, options = {}) {
+  const { deskew = true } = options;
   const fileType = getFileType(file);
   const results = [];
 
@@ -305,26 +341,28 @@ export async function processFile(file) {
     }
     
     case 'pdf': {
-      const pages = await pdfToImages(file);
+      const pages = await pdfToImages(file, { deskew });
       for (const page of pages) {
         const img = await loadImageFromDataUrl(page.dataUrl);
         results.push({
           image: img,
           source: 'pdf',
           pageNum: page.pageNum,
-          fileName: file.name
+          fileName: file.name,
+          skew: page.skew
         });
       }
       break;
     }
     
     case 'docx': {
-      const { dataUrl } = await docxToImage(file);
+      const { dataUrl, skew } = await docxToImage(file, { deskew });
       const img = await loadImageFromDataUrl(dataUrl);
       results.push({
         image: img,
         source: 'docx',
-        fileName: file.name
+        fileName: file.name,
+        skew
       });
       break;
     }
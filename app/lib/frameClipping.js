@@ -0,0 +1,199 @@
+/**
+ * Documents cut off by the image frame
+ * A page running off the image leaves an edge band that is open towards the
+ * frame. Once the frame itself is drawn into the binary image the page
+ * becomes a closed region again, whose outline runs partly along the frame.
+ * The visible document sides then fix the quad: sides hidden past the frame
+ * are either implied by their neighbours (a corner cut off) or replaced by
+ * the frame line they disappear behind.
+ */
+
+import { lineThrough, crossLines, polygonOverlap, polygonArea, isConvexQuad } from './quadGeometry.js';
+
+const SIDE_NAMES = ['top', 'right', 'bottom', 'left'];
+
+/**
+ * Draw the image frame into a binary image, closing regions cut by it
+ * @param {Uint8Array} binary - Binary image, modified in place
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ */
+export function closeFrame(binary, width, height) {
+  for (let x = 0; x < width; x++) {
+    binary[x] = 255;
+    binary[(height - 1) * width + x] = 255;
+  }
+  for (let y = 0; y < height; y++) {
+    binary[y * width] = 255;
+    binary[y * width + width - 1] = 255;
+  }
+}
+
+/**
+ * Whether any point of an outline lies on the image frame
+ */
+export function touchesFrame(points, width, height, margin = 2) {
+  return points.some((p) => frameSidesOf(p, width, height, margin).length > 0);
+}
+
+/**
+ * Quad of a document whose outline runs partly along the frame
+ * @param {Array<{x: number, y: number}>} polygon - Simplified outline of the visible part
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {Object} options - { margin, mergeAngle } margin in pixels, mergeAngle in degrees
+ * @returns {Array<{x: number, y: number}>|null} Four corners in outline order,
+ *   possibly outside the image, or null when fewer than two document sides
+ *   are visible or no quad explains the outline
+ */
+export function inferClippedQuad(polygon, width, height, options = {}) {
+  const { margin = 2, mergeAngle = 10 } = options;
+  const n = polygon.length;
+  if (n < 3) return null;
+
+  // Outline segments: along the frame, or part of a document side
+  const segments = [];
+  for (let i = 0; i < n; i++) {
+    const a = polygon[i];
+    const b = polygon[(i + 1) % n];
+    const sideA = frameSidesOf(a, width, height, margin);
+    const frame = frameSidesOf(b, width, height, margin).find((side) => sideA.includes(side)) || null;
+    segments.push({ a, b, frame });
+  }
+
+  // Start at a frame segment so no document side wraps around the end
+  const start = segments.findIndex((s) => s.frame);
+  if (start < 0) return null;
+  const ordered = [...segments.slice(start), ...segments.slice(0, start)];
+
+  // Document sides with the frame lines that follow each of them
+  const sides = [];
+  for (const segment of ordered) {
+    if (segment.frame) {
+      const last = sides[sides.length - 1];
+      if (last && !last.frames.includes(segment.frame)) last.frames.push(segment.frame);
+      continue;
+    }
+    const last = sides[sides.length - 1];
+    if (last && last.frames.length === 0 && angleBetween(last, segment) < mergeAngle) {
+      last.b = segment.b;
+    } else {
+      sides.push({ a: segment.a, b: segment.b, frames: [] });
+    }
+  }
+  // Frame segments before the first document side belong to the last one
+  const leading = ordered.slice(0, ordered.findIndex((s) => !s.frame)).map((s) => s.frame);
+  if (sides.length > 0) {
+    const last = sides[sides.length - 1];
+    for (const frame of leading) {
+      if (!last.frames.includes(frame)) last.frames.push(frame);
+    }
+  }
+
+  if (sides.length < 2 || sides.length > 4) return null;
+
+  // Add the missing sides from the frame lines each gap passes, in every
+  // combination, and keep the smallest quad that covers the visible outline
+  let best = null;
+  for (const lines of frameCombinations(sides, 4 - sides.length, width, height)) {
+    const corners = lines.map((line, i) => {
+      const p = crossLines(line, lines[(i + 1) % 4]);
+      return Math.abs(p[2]) < 1e-9 ? null : { x: p[0] / p[2], y: p[1] / p[2] };
+    });
+    if (corners.some((p) => !p) || !isConvexQuad(corners)) continue;
+    // The window bounds inferred corners: a near-parallel pair is no corner
+    const limit = Math.max(width, height);
+    if (corners.some((p) => p.x < -limit || p.y < -limit || p.x > width + limit || p.y > height + limit)) continue;
+
+    if (polygonOverlap(polygon, corners).aInB < 0.97) continue;
+    const area = polygonArea(corners);
+    if (!best || area < best.area) best = { corners, area };
+  }
+
+  return best ? best.corners : null;
+}
+
+/**
+ * Quad sides (top, right, bottom, left of an ordered TL, TR, BR, BL quad)
+ * that leave the image or lie along its frame
+ * The tolerance stays at a pixel or two: a document lying wholly inside
+ * the image a few pixels from the frame is not clipped. frameSides lists
+ * sides known to lie along the frame anyway, as found for outlines that
+ * reach it.
+ */
+export function findClippedSides(points, width, height, margin = 2, frameSides = []) {
+  const outside = (p) => p.x < -margin || p.y < -margin || p.x > width - 1 + margin || p.y > height - 1 + margin;
+  const along = [...findFrameSides(points, width, height, margin), ...frameSides];
+
+  return SIDE_NAMES.filter((name, i) =>
+    outside(points[i]) || outside(points[(i + 1) % 4]) || along.includes(i)
+  );
+}
+
+/**
+ * Indices of the quad sides lying along the image frame
+ */
+export function findFrameSides(points, width, height, margin = 2) {
+  const result = [];
+  for (let i = 0; i < 4; i++) {
+    const sidesA = frameSidesOf(points[i], width, height, margin);
+    const sidesB = frameSidesOf(points[(i + 1) % 4], width, height, margin);
+    if (sidesB.some((side) => sidesA.includes(side))) result.push(i);
+  }
+  return result;
+}
+
+/**
+ * Line sets in outline order: every document side, plus `missing` frame
+ * lines taken from the gaps that follow the sides
+ */
+function frameCombinations(sides, missing, width, height) {
+  const frameLine = {
+    top: lineThrough({ x: 0, y: 0 }, { x: width - 1, y: 0 }),
+    right: lineThrough({ x: width - 1, y: 0 }, { x: width - 1, y: height - 1 }),
+    bottom: lineThrough({ x: width - 1, y: height - 1 }, { x: 0, y: height - 1 }),
+    left: lineThrough({ x: 0, y: height - 1 }, { x: 0, y: 0 }),
+  };
+  const results = [];
+
+  const walk = (index, remaining, lines) => {
+    if (index === sides.length) {
+      if (remaining === 0) results.push(lines);
+      return;
+    }
+    const side = sides[index];
+    const own = [...lines, lineThrough(side.a, side.b)];
+    // Any ordered choice of the gap's frame lines, up to what is missing
+    const choose = (from, left, acc) => {
+      walk(index + 1, left, acc);
+      if (left === 0) return;
+      for (let k = from; k < side.frames.length; k++) {
+        choose(k + 1, left - 1, [...acc, frameLine[side.frames[k]]]);
+      }
+    };
+    choose(0, remaining, own);
+  };
+
+  walk(0, missing, []);
+  return results;
+}
+
+/**
+ * Frame sides a point lies on, within margin
+ */
+function frameSidesOf(p, width, height, margin) {
+  const sides = [];
+  if (p.y <= margin) sides.push('top');
+  if (p.x >= width - 1 - margin) sides.push('right');
+  if (p.y >= height - 1 - margin) sides.push('bottom');
+  if (p.x <= margin) sides.push('left');
+  return sides;
+}
+
+function angleBetween(s1, s2) {
+  const a1 = Math.atan2(s1.b.y - s1.a.y, s1.b.x - s1.a.x);
+  const a2 = Math.atan2(s2.b.y - s2.a.y, s2.b.x - s2.a.x);
+  let diff = Math.abs(a1 - a2) % (2 * Math.PI);
+  if (diff > Math.PI) diff = 2 * Math.PI - diff;
+  return (diff * 180) / Math.PI;
+}
@@ -0,0 +1,325 @@
+/**
+ * Line-based quadrilateral detection
+ * Finds page borders even when the contour never closes (occluded or
+ * low-contrast edges), by reasoning about straight lines instead of regions.
+ *
+ * Pipeline:
+ * 1. Gradient-guided Hough transform on a binary edge map
+ * 2. Peak extraction with non-maximum suppression
+ * 3. Clustering into near-horizontal and near-vertical families
+ * 4. Candidate quads from line intersections, scored by edge support
+ */
+
+import { polygonArea, polygonOverlap, isConvexQuad } from './quadGeometry.js';
+
+const THETA_BINS = 180;
+
+/**
+ * Detect straight lines with a Hough transform
+ * Each edge pixel only votes for angles close to its gradient direction,
+ * which keeps the accumulator clean and the cost linear in edge pixels.
+ * @param {Uint8Array} edgeMap - Binary edge map (255 = edge)
+ * @param {{gx: Int16Array, gy: Int16Array}} gradients - Sobel gradients
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {Object} options - { minVotes, maxLines, angleSpread }
+ * @returns {Array<{theta: number, rho: number, votes: number}>} Lines in normal form
+ */
+export function houghLines(edgeMap, gradients, width, height, options = {}) {
+  const {
+    minVotes = Math.round(Math.min(width, height) * 0.15),
+    maxLines = 100,
+    angleSpread = 3,
+  } = options;
+
+  const { gx, gy } = gradients;
+  const diag = Math.ceil(Math.sqrt(width * width + height * height));
+  const rhoBins = diag * 2 + 1;
+  const accumulator = new Int32Array(THETA_BINS * rhoBins);
+
+  const cosTable = new Float64Array(THETA_BINS);
+  const sinTable = new Float64Array(THETA_BINS);
+  for (let t = 0; t < THETA_BINS; t++) {
+    const theta = (t * Math.PI) / THETA_BINS;
+    cosTable[t] = Math.cos(theta);
+    sinTable[t] = Math.sin(theta);
+  }
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      if (!edgeMap[i]) continue;
+
+      // Line normal follows the gradient; fold into [0, PI)
+      let angle = Math.atan2(gy[i], gx[i]);
+      if (angle < 0) angle += Math.PI;
+      const center = Math.round((angle / Math.PI) * THETA_BINS);
+
+      for (let d = -angleSpread; d <= angleSpread; d++) {
+        const t = (center + d + THETA_BINS) % THETA_BINS;
+        const rho = Math.round(x * cosTable[t] + y * sinTable[t]) + diag;
+        accumulator[t * rhoBins + rho]++;
+      }
+    }
+  }
+
+  // Local maxima in a 5x5 neighbourhood (theta wraps with a rho flip)
+  const peaks = [];
+  for (let t = 0; t < THETA_BINS; t++) {
+    for (let r = 0; r < rhoBins; r++) {
+      const votes = accumulator[t * rhoBins + r];
+      if (votes < minVotes) continue;
+
+      let isMax = true;
+      for (let dt = -2; dt <= 2 && isMax; dt++) {
+        for (let dr = -2; dr <= 2; dr++) {
+          if (dt === 0 && dr === 0) continue;
+
+          let nt = t + dt;
+          let nr = r + dr;
+          if (nt < 0 || nt >= THETA_BINS) {
+            nt = (nt + THETA_BINS) % THETA_BINS;
+            nr = rhoBins - 1 - nr;
+          }
+          if (nr < 0 || nr >= rhoBins) continue;
+
+          const other = accumulator[nt * rhoBins + nr];
+          if (other > votes || (other === votes && (nt * rhoBins + nr) < (t * rhoBins + r))) {
+            isMax = false;
+            break;
+          }
+        }
+      }
+
+      if (isMax) {
+        peaks.push({ theta: (t * Math.PI) / THETA_BINS, rho: r - diag, votes });
+      }
+    }
+  }
+
+  peaks.sort((a, b) => b.votes - a.votes);
+  return peaks.slice(0, maxLines);
+}
+
+/**
+ * Build and score candidate quadrilaterals from Hough lines
+ * @param {Array} lines - Lines from houghLines
+ * @param {Uint8Array} edgeMap - Binary edge map used for support scoring
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {Object} options - { minArea, maxArea, maxPerFamily, minLineGap, minSideSupport, minScore, maxQuads }
+ * @returns {Array<{points: Array, score: number, sideSupport: Array<number>}>} Best first
+ */
+export function findLineQuads(lines, edgeMap, width, height, options = {}) {
+  const {
+    minArea = 0,
+    maxArea = Infinity,
+    maxPerFamily = 10,
+    minLineGap = 8,
+    minSideSupport = 0.3,
+    minScore = 0.5,
+    maxQuads = 5,
+  } = options;
+
+  // Normal angle near 90 degrees = near-horizontal line
+  const horizontal = [];
+  const vertical = [];
+  for (const line of lines) {
+    const deg = (line.theta * 180) / Math.PI;
+    if (Math.abs(deg - 90) < 45) horizontal.push(line);
+    else vertical.push(line);
+  }
+
+  // Each family keeps its own strongest lines, so dense text lines cannot
+  // crowd out the page borders of the other orientation
+  const hLines = pickDistinctLines(horizontal, width / 2, 'y', minLineGap, maxPerFamily);
+  const vLines = pickDistinctLines(vertical, height / 2, 'x', minLineGap, maxPerFamily);
+  const margin = Math.max(width, height) * 0.05;
+  const candidates = [];
+
+  for (let a = 0; a < hLines.length; a++) {
+    for (let b = a + 1; b < hLines.length; b++) {
+      for (let c = 0; c < vLines.length; c++) {
+        for (let d = c + 1; d < vLines.length; d++) {
+          const [top, bottom] = sortByOffset(hLines[a], hLines[b], width / 2, 'y');
+          const [left, right] = sortByOffset(vLines[c], vLines[d], height / 2, 'x');
+
+          const corners = [
+            intersect(top, left),
+            intersect(top, right),
+            intersect(bottom, right),
+            intersect(bottom, left),
+          ];
+          if (corners.some((p) => !p)) continue;
+
+          const outside = corners.some((p) =>
+            p.x < -margin || p.y < -margin || p.x > width + margin || p.y > height + margin
+          );
+          if (outside) continue;
+
+          const area = polygonArea(corners);
+          if (area < minArea || area > maxArea) continue;
+          if (!isConvexQuad(corners)) continue;
+
+          const sideSupport = corners.map((p, i) =>
+            measureSupport(edgeMap, width, height, p, corners[(i + 1) % 4])
+          );
+          if (Math.min(...sideSupport) < minSideSupport) continue;
+
+          const score = sideSupport.reduce((sum, s) => sum + s, 0) / 4;
+          if (score < minScore) continue;
+
+          // Rank favours larger quads, so a page wins over boxes printed on it
+          const rank = score * Math.pow(area / (width * height), 0.25);
+          candidates.push({ points: corners, score, rank, sideSupport, area });
+        }
+      }
+    }
+  }
+
+  candidates.sort((p, q) => q.rank - p.rank);
+
+  // Drop candidates that mostly overlap a stronger one (e.g. a text line
+  // standing in for the top border of an already selected page)
+  const selected = [];
+  for (const candidate of candidates) {
+    const overlaps = selected.some((s) => {
+      // Share of the smaller quad covered by the other
+      const { aInB, bInA } = polygonOverlap(s.points, candidate.points);
+      return Math.max(aInB, bInA) > 0.5;
+    });
+    if (!overlaps) selected.push(candidate);
+    if (selected.length >= maxQuads) break;
+  }
+
+  return selected;
+}
+
+/**
+ * Render lines into a grayscale buffer for the Debug View
+ */
+export function renderLines(lines, quads, width, height) {
+  const result = new Uint8Array(width * height);
+
+  for (const line of lines) {
+    const cos = Math.cos(line.theta);
+    const sin = Math.sin(line.theta);
+    if (Math.abs(sin) > Math.abs(cos)) {
+      for (let x = 0; x < width; x++) {
+        const y = Math.round((line.rho - x * cos) / sin);
+        if (y >= 0 && y < height) result[y * width + x] = 96;
+      }
+    } else {
+      for (let y = 0; y < height; y++) {
+        const x = Math.round((line.rho - y * sin) / cos);
+        if (x >= 0 && x < width) result[y * width + x] = 96;
+      }
+    }
+  }
+
+  for (const quad of quads) {
+    for (let i = 0; i < 4; i++) {
+      const a = quad.points[i];
+      const b = quad.points[(i + 1) % 4];
+      const steps = Math.ceil(Math.max(Math.abs(b.x - a.x), Math.abs(b.y - a.y)));
+      for (let s = 0; s <= steps; s++) {
+        const x = Math.round(a.x + ((b.x - a.x) * s) / steps);
+        const y = Math.round(a.y + ((b.y - a.y) * s) / steps);
+        if (x >= 0 && x < width && y >= 0 && y < height) result[y * width + x] = 255;
+      }
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Strongest lines of a family, skipping near-duplicates of stronger ones
+ * (both edges of a thick stroke, or a border split over two rho bins).
+ * The outermost lines are always kept: page borders enclose everything
+ * else, but dense text lines can outvote them.
+ */
+function pickDistinctLines(lines, center, axis, minGap, maxCount) {
+  const distinct = [];
+
+  for (const line of lines) {
+    const offset = lineOffset(line, center, axis);
+    const duplicate = distinct.some((p) =>
+      Math.abs(lineOffset(p, center, axis) - offset) < minGap &&
+      Math.abs(p.theta - line.theta) < (3 * Math.PI) / 180
+    );
+    if (!duplicate) distinct.push(line);
+  }
+
+  const picked = distinct.slice(0, maxCount);
+  const byOffset = [...distinct].sort((a, b) => lineOffset(a, center, axis) - lineOffset(b, center, axis));
+  const outermost = [...byOffset.slice(0, 2), ...byOffset.slice(-2)];
+
+  for (const line of outermost) {
+    if (!picked.includes(line)) picked.push(line);
+  }
+
+  return picked;
+}
+
+/**
+ * Where a line crosses the image centre line
+ * Horizontal family: y at x = center; vertical family: x at y = center
+ */
+function lineOffset(line, center, axis) {
+  const cos = Math.cos(line.theta);
+  const sin = Math.sin(line.theta);
+  return axis === 'y' ? (line.rho - center * cos) / sin : (line.rho - center * sin) / cos;
+}
+
+/**
+ * Order two roughly parallel lines by where they cross the image centre line
+ */
+function sortByOffset(l1, l2, center, axis) {
+  return lineOffset(l1, center, axis) <= lineOffset(l2, center, axis) ? [l1, l2] : [l2, l1];
+}
+
+function intersect(l1, l2) {
+  const c1 = Math.cos(l1.theta), s1 = Math.sin(l1.theta);
+  const c2 = Math.cos(l2.theta), s2 = Math.sin(l2.theta);
+  const det = c1 * s2 - s1 * c2;
+  if (Math.abs(det) < 1e-6) return null;
+
+  return {
+    x: (l1.rho * s2 - l2.rho * s1) / det,
+    y: (l2.rho * c1 - l1.rho * c2) / det,
+  };
+}
+
+/**
+ * Fraction of samples along a segment with an edge pixel within 2px
+ */
+function measureSupport(edgeMap, width, height, a, b) {
+  const length = Math.sqrt((b.x - a.x) ** 2 + (b.y - a.y) ** 2);
+  const steps = Math.max(1, Math.floor(length / 2));
+  let hits = 0;
+  let samples = 0;
+
+  for (let s = 0; s <= steps; s++) {
+    const x = Math.round(a.x + ((b.x - a.x) * s) / steps);
+    const y = Math.round(a.y + ((b.y - a.y) * s) / steps);
+    if (x < 0 || x >= width || y < 0 || y >= height) continue;
+    samples++;
+
+    let found = false;
+    for (let dy = -2; dy <= 2 && !found; dy++) {
+      for (let dx = -2; dx <= 2; dx++) {
+        const px = x + dx;
+        const py = y + dy;
+        if (px >= 0 && px < width && py >= 0 && py < height && edgeMap[py * width + px]) {
+          found = true;
+          break;
+        }
+      }
+    }
+    if (found) hits++;
+  }
+
+  // Portions outside the frame count as unsupported
+  return samples > 0 ? hits / (steps + 1) : 0;
+}
@@ -0,0 +1,234 @@
+/**
+ * Illumination normalization
+ * Estimates the slowly varying illumination (shadows, vignetting, uneven
+ * lamps) and divides it out, optionally followed by CLAHE. The background
+ * estimate is computed on a coarse grid and interpolated back, so its cost
+ * does not depend on the smoothing radius.
+ */
+
+/**
+ * Divide a grayscale image by an estimate of its illumination
+ * 'blur' smooths the image heavily: page edges keep their local contrast, soft
+ * shadows and vignetting disappear. 'close' (max then min filter) follows the
+ * paper white under dark print, which evens shadows inside a page better but
+ * also flattens large uniform areas such as the desk.
+ * @param {Uint8Array} gray - Grayscale image
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {Object} options - { method: 'blur' | 'close', radius } radius in pixels
+ * @returns {Uint8Array} Normalized image with the input's mean brightness
+ */
+export function normalizeIllumination(gray, width, height, options = {}) {
+  const {
+    method = 'blur',
+    radius = Math.round(Math.min(width, height) / 8),
+  } = options;
+
+  // Coarse grid of about 64 cells along the shorter side
+  const cell = Math.max(1, Math.round(Math.min(width, height) / 64));
+  const gw = Math.ceil(width / cell);
+  const gh = Math.ceil(height / cell);
+  const cells = Math.max(1, Math.round(radius / cell));
+
+  let grid = blockMeans(gray, width, height, cell, gw, gh);
+  if (method === 'close') {
+    grid = gridExtremum(gridExtremum(grid, gw, gh, cells, true), gw, gh, cells, false);
+    grid = gridBoxBlur(grid, gw, gh, 1);
+  } else {
+    // Three box passes approximate a Gaussian
+    for (let pass = 0; pass < 3; pass++) grid = gridBoxBlur(grid, gw, gh, cells);
+  }
+
+  let mean = 0;
+  for (let i = 0; i < grid.length; i++) mean += grid[i];
+  mean /= grid.length;
+
+  const result = new Uint8Array(width * height);
+  for (let y = 0; y < height; y++) {
+    const gy = Math.min(gh - 1, Math.max(0, (y + 0.5) / cell - 0.5));
+    const y0 = Math.floor(gy);
+    const y1 = Math.min(gh - 1, y0 + 1);
+    const fy = gy - y0;
+
+    for (let x = 0; x < width; x++) {
+      const gx = Math.min(gw - 1, Math.max(0, (x + 0.5) / cell - 0.5));
+      const x0 = Math.floor(gx);
+      const x1 = Math.min(gw - 1, x0 + 1);
+      const fx = gx - x0;
+
+      const top = grid[y0 * gw + x0] + (grid[y0 * gw + x1] - grid[y0 * gw + x0]) * fx;
+      const bottom = grid[y1 * gw + x0] + (grid[y1 * gw + x1] - grid[y1 * gw + x0]) * fx;
+      const background = Math.max(1, top + (bottom - top) * fy);
+
+      const i = y * width + x;
+      result[i] = Math.min(255, Math.round((gray[i] * mean) / background));
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Contrast-limited adaptive histogram equalization
+ * Each tile gets a clipped, equalized lookup table; pixels blend the tables
+ * of the four nearest tile centres.
+ * @param {Uint8Array} gray - Grayscale image
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {Object} options - { tiles, clipLimit } clipLimit is a multiple of the mean bin count
+ * @returns {Uint8Array}
+ */
+export function clahe(gray, width, height, options = {}) {
+  const { tiles = 8, clipLimit = 2 } = options;
+
+  const tilesX = Math.max(1, Math.min(tiles, width));
+  const tilesY = Math.max(1, Math.min(tiles, height));
+  const tileW = width / tilesX;
+  const tileH = height / tilesY;
+  const luts = [];
+
+  for (let ty = 0; ty < tilesY; ty++) {
+    for (let tx = 0; tx < tilesX; tx++) {
+      const x0 = Math.floor(tx * tileW);
+      const x1 = Math.floor((tx + 1) * tileW);
+      const y0 = Math.floor(ty * tileH);
+      const y1 = Math.floor((ty + 1) * tileH);
+      luts.push(tileLookup(gray, width, x0, x1, y0, y1, clipLimit));
+    }
+  }
+
+  const result = new Uint8Array(width * height);
+  for (let y = 0; y < height; y++) {
+    const fyTile = Math.min(tilesY - 1, Math.max(0, (y + 0.5) / tileH - 0.5));
+    const ty0 = Math.floor(fyTile);
+    const ty1 = Math.min(tilesY - 1, ty0 + 1);
+    const fy = fyTile - ty0;
+
+    for (let x = 0; x < width; x++) {
+      const fxTile = Math.min(tilesX - 1, Math.max(0, (x + 0.5) / tileW - 0.5));
+      const tx0 = Math.floor(fxTile);
+      const tx1 = Math.min(tilesX - 1, tx0 + 1);
+      const fx = fxTile - tx0;
+
+      const v = gray[y * width + x];
+      const top = luts[ty0 * tilesX + tx0][v] * (1 - fx) + luts[ty0 * tilesX + tx1][v] * fx;
+      const bottom = luts[ty1 * tilesX + tx0][v] * (1 - fx) + luts[ty1 * tilesX + tx1][v] * fx;
+      result[y * width + x] = Math.round(top * (1 - fy) + bottom * fy);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Equalization table for one tile with the histogram clipped at
+ * clipLimit times the mean bin count and the excess spread evenly
+ */
+function tileLookup(gray, width, x0, x1, y0, y1, clipLimit) {
+  const histogram = new Float64Array(256);
+  const count = Math.max(1, (x1 - x0) * (y1 - y0));
+
+  for (let y = y0; y < y1; y++) {
+    for (let x = x0; x < x1; x++) {
+      histogram[gray[y * width + x]]++;
+    }
+  }
+
+  const limit = Math.max(1, (clipLimit * count) / 256);
+  let excess = 0;
+  for (let i = 0; i < 256; i++) {
+    if (histogram[i] > limit) {
+      excess += histogram[i] - limit;
+      histogram[i] = limit;
+    }
+  }
+
+  const lut = new Uint8Array(256);
+  let cdf = 0;
+  for (let i = 0; i < 256; i++) {
+    cdf += histogram[i] + excess / 256;
+    lut[i] = Math.min(255, Math.round((cdf / count) * 255));
+  }
+
+  return lut;
+}
+
+function blockMeans(gray, width, height, cell, gw, gh) {
+  const grid = new Float32Array(gw * gh);
+  const counts = new Uint32Array(gw * gh);
+
+  for (let y = 0; y < height; y++) {
+    const row = Math.floor(y / cell) * gw;
+    for (let x = 0; x < width; x++) {
+      const g = row + Math.floor(x / cell);
+      grid[g] += gray[y * width + x];
+      counts[g]++;
+    }
+  }
+
+  for (let i = 0; i < grid.length; i++) grid[i] /= counts[i];
+  return grid;
+}
+
+/**
+ * Square max (or min) filter on the coarse grid, clipped at the border
+ */
+function gridExtremum(grid, gw, gh, radius, isMax) {
+  const pick = isMax ? Math.max : Math.min;
+  const horizontal = new Float32Array(grid.length);
+  const result = new Float32Array(grid.length);
+
+  for (let y = 0; y < gh; y++) {
+    for (let x = 0; x < gw; x++) {
+      let v = grid[y * gw + x];
+      for (let k = Math.max(0, x - radius); k <= Math.min(gw - 1, x + radius); k++) {
+        v = pick(v, grid[y * gw + k]);
+      }
+      horizontal[y * gw + x] = v;
+    }
+  }
+
+  for (let y = 0; y < gh; y++) {
+    for (let x = 0; x < gw; x++) {
+      let v = horizontal[y * gw + x];
+      for (let k = Math.max(0, y - radius); k <= Math.min(gh - 1, y + radius); k++) {
+        v = pick(v, horizontal[k * gw + x]);
+      }
+      result[y * gw + x] = v;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Box mean on the coarse grid, clipped at the border
+ */
+function gridBoxBlur(grid, gw, gh, radius) {
+  const horizontal = new Float32Array(grid.length);
+  const result = new Float32Array(grid.length);
+
+  for (let y = 0; y < gh; y++) {
+    for (let x = 0; x < gw; x++) {
+      let sum = 0, n = 0;
+      for (let k = Math.max(0, x - radius); k <= Math.min(gw - 1, x + radius); k++) {
+        sum += grid[y * gw + k];
+        n++;
+      }
+      horizontal[y * gw + x] = sum / n;
+    }
+  }
+
+  for (let y = 0; y < gh; y++) {
+    for (let x = 0; x < gw; x++) {
+      let sum = 0, n = 0;
+      for (let k = Math.max(0, y - radius); k <= Math.min(gh - 1, y + radius); k++) {
+        sum += horizontal[k * gw + x];
+        n++;
+      }
+      result[y * gw + x] = sum / n;
+    }
+  }
+
+  return result;
+}
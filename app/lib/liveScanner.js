@@ -0,0 +1,256 @@
+/**
+ * Live scanning
+ * Plays a MediaStream (a camera from getUserMedia, or any other stream such
+ * as a canvas captureStream()), detects the document in reduced copies of
+ * its frames, draws the tracked quad over a preview and captures a
+ * full-resolution frame once the document has held still.
+ * All operations are client-side only.
+ */
+
+import { createWorkerDetector } from './workerDetector.js';
+import { createCornerTracker } from './cornerTracker.js';
+import { polygonOverlap, polygonArea, quadAngle } from './quadGeometry.js';
+
+// Per-frame detection: one strategy, no gutter search or page analysis
+const FRAME_OPTIONS = {
+  pyramid: false,
+  splitSpreads: false,
+  detectOrientation: false,
+  assessQuality: false,
+};
+
+/**
+ * Create a scanner for a media stream
+ * The stream stays the caller's: stop() releases the scanner, not the tracks.
+ * @param {MediaStream} stream - Video stream to scan
+ * @param {Object} options - { detector, preview, analysisSize, detectionOptions,
+ *   autoCapture, onUpdate, onCapture, onError } plus createCornerTracker options
+ *   detector is a createWorkerDetector() instance (one is created and
+ *   terminated with the scanner otherwise); preview a canvas the frames and
+ *   quad are drawn on; analysisSize the long side frames are reduced to for
+ *   detection; onUpdate receives the tracker state after every detected
+ *   frame, onCapture the captured frame as { image, boundary, detection }
+ * @returns {{start: Function, stop: Function, capture: Function}}
+ */
+export function createLiveScanner(stream, options = {}) {
+  const {
+    detector: sharedDetector = null,
+    preview = null,
+    analysisSize = 480,
+    detectionOptions = {},
+    autoCapture = true,
+    onUpdate = null,
+    onCapture = null,
+    onError = null,
+    ...trackerOptions
+  } = options;
+
+  const detector = sharedDetector || createWorkerDetector();
+  const tracker = createCornerTracker(trackerOptions);
+  const video = document.createElement('video');
+  const frameCanvas = document.createElement('canvas');
+  let running = false;
+  let stopped = false;
+  let busy = false;
+  let capturing = false;
+  let frameRequest = null;
+  let tracked = { points: null, stableCount: 0, stableFrames: 0, stable: false };
+
+  const report = (err) => {
+    if (onError) onError(err);
+    else console.error('Live scanning error:', err);
+  };
+
+  /**
+   * Start playing the stream and scanning its frames
+   * Resolves without scanning when stop() is called before playback starts.
+   */
+  const start = async () => {
+    if (running || stopped) return;
+    video.muted = true;
+    video.playsInline = true;
+    video.srcObject = stream;
+    try {
+      await video.play();
+    } catch (err) {
+      // stop() detaching the stream aborts the pending play()
+      if (stopped) return;
+      throw err;
+    }
+    if (stopped) return;
+    running = true;
+    frameRequest = requestAnimationFrame(tick);
+  };
+
+  /**
+   * Stop scanning; a detection or capture still running is discarded
+   * A stopped scanner cannot be started again.
+   */
+  const stop = () => {
+    running = false;
+    stopped = true;
+    if (frameRequest !== null) cancelAnimationFrame(frameRequest);
+    frameRequest = null;
+    video.pause();
+    video.srcObject = null;
+    tracker.reset();
+    if (!sharedDetector) detector.terminate();
+  };
+
+  const tick = () => {
+    if (!running) return;
+    if (preview) drawPreview();
+    // Frames arriving while a detection runs are dropped
+    if (!busy && !capturing && video.readyState >= 2 && video.videoWidth > 0) {
+      analyseFrame();
+    }
+    frameRequest = requestAnimationFrame(tick);
+  };
+
+  const analyseFrame = async () => {
+    busy = true;
+    const width = video.videoWidth;
+    const height = video.videoHeight;
+    const scale = Math.min(1, analysisSize / Math.max(width, height));
+    frameCanvas.width = Math.round(width * scale);
+    frameCanvas.height = Math.round(height * scale);
+    frameCanvas.getContext('2d').drawImage(video, 0, 0, frameCanvas.width, frameCanvas.height);
+
+    try {
+      const result = await detector.detect(frameCanvas, { ...detectionOptions, ...FRAME_OPTIONS }, {
+        enhanced: false,
+        intermediate: false,
+      });
+      if (!running) return;
+
+      const boundary = largestQuad(result.boundaries);
+      const points = boundary ? boundary.points.map((p) => ({ x: p.x / scale, y: p.y / scale })) : null;
+      tracked = tracker.update(points, { width, height });
+      if (onUpdate) onUpdate(tracked);
+
+      if (autoCapture && tracked.stable) await capture();
+    } catch (err) {
+      if (running) report(err);
+    } finally {
+      busy = false;
+    }
+  };
+
+  /**
+   * Capture the current frame at full resolution and detect in it
+   * The boundary is the full-resolution detection matching the tracked
+   * quad, or the tracked quad itself when the detection misses it.
+   * @returns {Promise<{image: HTMLCanvasElement, boundary: Object|null, detection: Object}|null>}
+   *   null when the scanner is stopped meanwhile
+   */
+  const capture = async () => {
+    if (capturing || video.videoWidth === 0) return null;
+    capturing = true;
+
+    try {
+      const image = document.createElement('canvas');
+      image.width = video.videoWidth;
+      image.height = video.videoHeight;
+      image.getContext('2d').drawImage(video, 0, 0);
+      const trackedPoints = tracked.points;
+
+      const detection = await detector.detect(image, { pyramid: true, ...detectionOptions }, { enhanced: false });
+      if (!running) return null;
+
+      let boundary = trackedPoints ? matchingBoundary(detection.boundaries, trackedPoints) : largestQuad(detection.boundaries);
+      if (!boundary && trackedPoints) {
+        boundary = trackedBoundary(trackedPoints);
+        detection.boundaries = [boundary, ...detection.boundaries];
+      }
+
+      tracker.reset();
+      tracked = { points: null, stableCount: 0, stableFrames: 0, stable: false };
+      const captured = { image, boundary, detection };
+      if (onCapture) onCapture(captured);
+      return captured;
+    } finally {
+      capturing = false;
+    }
+  };
+
+  const drawPreview = () => {
+    if (video.videoWidth === 0) return;
+    if (preview.width !== video.videoWidth || preview.height !== video.videoHeight) {
+      preview.width = video.videoWidth;
+      preview.height = video.videoHeight;
+    }
+    const ctx = preview.getContext('2d');
+    ctx.drawImage(video, 0, 0);
+    if (!tracked.points) return;
+
+    // Cyan while settling, lime once stable; the fill shows how close it is
+    const settled = Math.min(1, tracked.stableCount / Math.max(1, tracked.stableFrames));
+    const color = tracked.stable ? '#a3ff12' : '#00d4ff';
+    const lineWidth = Math.max(2, Math.round(Math.max(preview.width, preview.height) / 300));
+
+    ctx.beginPath();
+    tracked.points.forEach((p, i) => (i === 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y)));
+    ctx.closePath();
+    ctx.fillStyle = `rgba(0, 212, 255, ${0.05 + settled * 0.2})`;
+    ctx.fill();
+    ctx.strokeStyle = color;
+    ctx.lineWidth = lineWidth;
+    ctx.lineJoin = 'round';
+    ctx.stroke();
+
+    for (const p of tracked.points) {
+      ctx.beginPath();
+      ctx.arc(p.x, p.y, lineWidth * 3, 0, Math.PI * 2);
+      ctx.fillStyle = color;
+      ctx.fill();
+    }
+  };
+
+  return { start, stop, capture };
+}
+
+/**
+ * Largest four-cornered top-level boundary
+ */
+function largestQuad(boundaries) {
+  return boundaries
+    .filter((b) => b.points.length === 4)
+    .reduce((best, b) => (!best || b.area > best.area ? b : best), null);
+}
+
+/**
+ * Boundary overlapping the tracked quad the most, if it overlaps it at all well
+ */
+function matchingBoundary(boundaries, points) {
+  let best = null;
+  for (const boundary of boundaries) {
+    if (boundary.points.length !== 4) continue;
+    const { iou } = polygonOverlap(boundary.points, points);
+    if (iou > 0.7 && (!best || iou > best.iou)) best = { boundary, iou };
+  }
+  return best ? best.boundary : null;
+}
+
+/**
+ * Minimal boundary for a tracked quad the full-resolution pass did not find
+ */
+function trackedBoundary(points) {
+  const xs = points.map((p) => p.x);
+  const ys = points.map((p) => p.y);
+  const x = Math.min(...xs);
+  const y = Math.min(...ys);
+  const boundingRect = { x, y, width: Math.max(...xs) - x, height: Math.max(...ys) - y };
+
+  return {
+    points,
+    area: polygonArea(points),
+    aspectRatio: boundingRect.width / boundingRect.height,
+    numVertices: 4,
+    boundingRect,
+    isConvex: true,
+    angle: quadAngle(points),
+    cornerSource: 'tracked',
+    type: 'single-document',
+    children: [],
+  };
+}
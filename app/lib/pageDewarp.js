@@ -0,0 +1,435 @@
+/**
+ * Curved page dewarping
+ * A page of an open book bows up towards the spine: its top and bottom
+ * edges curve, the text lines follow them and the part of the page near the
+ * gutter is foreshortened. The page is modelled inside the unit square of
+ * its corner quad, so the homography still takes care of perspective:
+ * - a polynomial offset for each of the top and bottom edges, traced from
+ *   the strongest paper/background transition near the straight side
+ * - an optional per-column shift measured from the text lines, which
+ *   straightens what the edge curves alone leave bent
+ * - an arc-length reparameterization across the page that stretches the
+ *   foreshortened columns back out
+ */
+
+import { getPerspectiveTransform, applyTransform, solveLinearSystem } from './documentWarp.js';
+import { distance } from './quadGeometry.js';
+
+const UNIT_SQUARE = [
+  { x: 0, y: 0 },
+  { x: 1, y: 0 },
+  { x: 1, y: 1 },
+  { x: 0, y: 1 },
+];
+
+/**
+ * Model a curved page as a mapping from a flat rectangle onto the source
+ * @param {{data: Uint8ClampedArray, width: number, height: number}} imageData - RGBA source
+ * @param {Array<{x: number, y: number}>} points - Page corners (TL, TR, BR, BL)
+ * @param {Object} options - { edgeSamples, searchRange, degree, depthGain, minEdgeContrast, textLines, textBands, minCorrelation, aspectRatio }
+ *   searchRange is a fraction of the page height; depthGain scales the edge
+ *   bow into surface slope (the camera sees only part of the page's lift);
+ *   aspectRatio is the corner quad's physical width:height
+ * @returns {{width: number, height: number, map: Function, edges: {top: number[], bottom: number[]}, stretch: number, textLineCorrection: boolean}}
+ *   Flattened size, map(s, t) from normalized output coordinates (0-1) to
+ *   source pixels, the edge polynomials (in 2u - 1, unit-square offsets), the
+ *   horizontal stretch and whether text lines contributed
+ */
+export function buildPageModel(imageData, points, options = {}) {
+  const {
+    edgeSamples = 48,
+    searchRange = 0.1,
+    degree = 4,
+    depthGain = 2,
+    minEdgeContrast = 12,
+    textLines = true,
+    textBands = 16,
+    minCorrelation = 0.6,
+    aspectRatio = null,
+  } = options;
+
+  const [tl, tr, br, bl] = points;
+  const pageWidth = Math.max(distance(tl, tr), distance(bl, br));
+  const pageHeight = Math.max(distance(tl, bl), distance(tr, br));
+  const toSource = getPerspectiveTransform(UNIT_SQUARE, points);
+  const sampleGray = (u, v) => grayAt(imageData, applyTransform(toSource, { x: u, y: v }));
+
+  const edgeOptions = { samples: edgeSamples, range: searchRange, step: 1 / pageHeight, degree, minContrast: minEdgeContrast };
+  const top = traceEdge(sampleGray, 0, 1, edgeOptions);
+  const bottom = traceEdge(sampleGray, 1, -1, edgeOptions);
+
+  // Arc length of the edges, with their slope taken as surface slope
+  const steps = 256;
+  const slopeScale = (depthGain * pageHeight) / pageWidth;
+  const arc = new Float64Array(steps + 1);
+  for (let k = 1; k <= steps; k++) {
+    const u = (k - 0.5) / steps;
+    const slopeTop = slopeScale * polyDerivative(top, 2 * u - 1) * 2;
+    const slopeBottom = slopeScale * polyDerivative(bottom, 2 * u - 1) * 2;
+    const length = (Math.sqrt(1 + slopeTop * slopeTop) + Math.sqrt(1 + slopeBottom * slopeBottom)) / 2;
+    arc[k] = arc[k - 1] + length / steps;
+  }
+  const stretch = arc[steps];
+
+  // Output s is the fraction of arc length; invert by walking the table
+  const uTable = new Float64Array(steps + 1);
+  for (let k = 0, j = 0; k <= steps; k++) {
+    const target = (stretch * k) / steps;
+    while (j < steps - 1 && arc[j + 1] < target) j++;
+    const span = arc[j + 1] - arc[j];
+    uTable[k] = (j + (span > 0 ? (target - arc[j]) / span : 0)) / steps;
+  }
+  const uOf = (s) => {
+    const f = Math.min(Math.max(s, 0), 1) * steps;
+    const k = Math.min(steps - 1, Math.floor(f));
+    return uTable[k] + (uTable[k + 1] - uTable[k]) * (f - k);
+  };
+
+  const edgeMap = (s, t) => {
+    const u = uOf(s);
+    const x = 2 * u - 1;
+    const v = polyEval(top, x) * (1 - t) + (1 + polyEval(bottom, x)) * t;
+    return applyTransform(toSource, { x: u, y: v });
+  };
+
+  const width = Math.max(1, Math.round(pageWidth * stretch));
+  // The corner quad's physical ratio holds for the chord, before stretching
+  const height = Math.max(1, Math.round(aspectRatio ? pageWidth / aspectRatio : pageHeight));
+
+  const shifts = textLines
+    ? measureTextLineShifts(imageData, edgeMap, width, height, { bands: textBands, minCorrelation })
+    : null;
+
+  const map = shifts
+    ? (s, t) => edgeMap(s, t + textLineShift(shifts, s, t))
+    : edgeMap;
+
+  return {
+    width,
+    height,
+    map,
+    edges: { top, bottom },
+    stretch,
+    textLineCorrection: shifts !== null,
+  };
+}
+
+/**
+ * Trace a page edge near the unit-square side v = v0 and fit a polynomial
+ * to its offset; inward is +1 when the page lies at larger v
+ */
+function traceEdge(sampleGray, v0, inward, options) {
+  const { samples, range, step, degree, minContrast } = options;
+  const h = 1.5 * step;
+
+  // Polarity: is the page brighter or darker than what lies beyond it; the
+  // medians look past text lines near the edge
+  const inside = [];
+  const outside = [];
+  for (let k = 1; k < 8; k++) {
+    for (let j = 1; j <= 4; j++) {
+      inside.push(sampleGray(k / 8, v0 + (inward * range * j) / 4));
+      outside.push(sampleGray(k / 8, v0 - (inward * range * j) / 4));
+    }
+  }
+  const polarity = median(inside) >= median(outside) ? 1 : -1;
+
+  const us = [];
+  const offsets = [];
+  const count = Math.max(1, Math.round(range / step));
+
+  for (let i = 0; i < samples; i++) {
+    const u = 0.02 + (0.96 * i) / Math.max(1, samples - 1);
+    const response = new Float64Array(2 * count + 1);
+    let strongest = 0;
+
+    for (let j = -count; j <= count; j++) {
+      const v = v0 + j * step;
+      response[j + count] = polarity * inward * (sampleGray(u, v + h) - sampleGray(u, v - h));
+      strongest = Math.max(strongest, response[j + count]);
+    }
+    if (strongest < minContrast) continue;
+
+    // The outermost strong transition: the far side of a text line has the
+    // same polarity as the page edge and can be stronger
+    const cutoff = Math.max(minContrast, strongest / 2);
+    const first = inward > 0 ? 0 : 2 * count;
+    let best = -1;
+    for (let k = first; k >= 0 && k <= 2 * count; k += inward) {
+      if (best < 0) {
+        if (response[k] >= cutoff) best = k;
+      } else if (response[k] > response[best]) {
+        best = k;
+      } else {
+        break;
+      }
+    }
+
+    us.push(2 * u - 1);
+    offsets.push((best - count + parabolaPeak(response, best)) * step);
+  }
+
+  return robustPolyFit(us, offsets, degree, step);
+}
+
+/**
+ * Least-squares polynomial, refitted once without outliers
+ * (residuals above three median absolute deviations)
+ */
+function robustPolyFit(xs, ys, degree, minDeviation) {
+  if (xs.length < degree + 3) return [0];
+
+  let coefficients = polyFit(xs, ys, degree);
+  if (!coefficients) return [0];
+
+  const residuals = xs.map((x, i) => Math.abs(ys[i] - polyEval(coefficients, x)));
+  const cutoff = 3 * Math.max(minDeviation, median(residuals));
+  const keep = xs.map((_, i) => residuals[i] <= cutoff);
+  const keptXs = xs.filter((_, i) => keep[i]);
+
+  if (keptXs.length >= degree + 3 && keptXs.length < xs.length) {
+    coefficients = polyFit(keptXs, ys.filter((_, i) => keep[i]), degree) || coefficients;
+  }
+  return coefficients;
+}
+
+function polyFit(xs, ys, degree) {
+  const n = degree + 1;
+  const A = Array.from({ length: n }, () => new Array(n).fill(0));
+  const b = new Array(n).fill(0);
+
+  for (let i = 0; i < xs.length; i++) {
+    const powers = [1];
+    for (let p = 1; p < 2 * n; p++) powers.push(powers[p - 1] * xs[i]);
+    for (let r = 0; r < n; r++) {
+      b[r] += powers[r] * ys[i];
+      for (let c = 0; c < n; c++) A[r][c] += powers[r + c];
+    }
+  }
+
+  return solveLinearSystem(A, b);
+}
+
+function polyEval(coefficients, x) {
+  let value = 0;
+  for (let p = coefficients.length - 1; p >= 0; p--) value = value * x + coefficients[p];
+  return value;
+}
+
+function polyDerivative(coefficients, x) {
+  let value = 0;
+  for (let p = coefficients.length - 1; p >= 1; p--) value = value * x + p * coefficients[p];
+  return value;
+}
+
+/**
+ * Vertical drift of the text lines across the page, measured on a flattened
+ * preview: row-darkness profiles of neighbouring column bands are
+ * cross-correlated and the shifts chained outwards from the band with the
+ * most text, separately for the upper and lower half
+ * @returns {{upper: number[], lower: number[]}|null} Shift polynomials in s
+ *   (as 2s - 1, unit t), or null when neither half has enough text
+ */
+function measureTextLineShifts(imageData, edgeMap, width, height, options) {
+  const { bands, minCorrelation } = options;
+  const previewWidth = Math.min(400, width);
+  const previewHeight = Math.max(8, Math.round((previewWidth * height) / width));
+
+  const preview = new Float64Array(previewWidth * previewHeight);
+  for (let y = 0; y < previewHeight; y++) {
+    const t = y / (previewHeight - 1);
+    for (let x = 0; x < previewWidth; x++) {
+      preview[y * previewWidth + x] = 255 - grayAt(imageData, edgeMap(x / (previewWidth - 1), t));
+    }
+  }
+
+  const halves = [[0.05, 0.5], [0.5, 0.95]].map(([from, to]) => {
+    const rowFrom = Math.round(from * previewHeight);
+    const rowTo = Math.round(to * previewHeight);
+    const profiles = [];
+
+    for (let k = 0; k < bands; k++) {
+      const x0 = Math.floor((k * previewWidth) / bands);
+      const x1 = Math.floor(((k + 1) * previewWidth) / bands);
+      const profile = new Float64Array(rowTo - rowFrom);
+      for (let y = rowFrom; y < rowTo; y++) {
+        let sum = 0;
+        for (let x = x0; x < x1; x++) sum += preview[y * previewWidth + x];
+        profile[y - rowFrom] = sum / Math.max(1, x1 - x0);
+      }
+      profiles.push(profile);
+    }
+
+    const shifts = chainBandShifts(profiles, minCorrelation);
+    if (!shifts) return null;
+
+    const xs = [];
+    const ys = [];
+    shifts.forEach((shift, k) => {
+      if (shift === null) return;
+      xs.push((2 * (k + 0.5)) / bands - 1);
+      ys.push(shift / previewHeight);
+    });
+    if (xs.length < Math.max(4, bands / 2)) return null;
+
+    const coefficients = robustPolyFit(xs, ys, Math.min(3, xs.length - 3), 0.5 / previewHeight);
+    // Only the drift matters, not where the reference band sits
+    const mean = xs.reduce((sum, x) => sum + polyEval(coefficients, x), 0) / xs.length;
+    coefficients[0] -= mean;
+    return coefficients;
+  });
+
+  if (!halves[0] && !halves[1]) return null;
+  return { upper: halves[0] || [0], lower: halves[1] || [0] };
+}
+
+/**
+ * Row shift of every band relative to the most textured one; a band whose
+ * link to its neighbour is weak ends the chain on that side
+ */
+function chainBandShifts(profiles, minCorrelation) {
+  const variances = profiles.map(variance);
+  let reference = 0;
+  for (let k = 1; k < profiles.length; k++) {
+    if (variances[k] > variances[reference]) reference = k;
+  }
+  if (variances[reference] < 25) return null;
+
+  // Keep each step under half a line pitch so neighbours cannot slip a line
+  const period = linePeriod(profiles[reference]);
+  const maxShift = Math.max(1, Math.min(Math.round(profiles[reference].length * 0.06), Math.floor(period * 0.4)));
+
+  const shifts = new Array(profiles.length).fill(null);
+  shifts[reference] = 0;
+
+  for (const direction of [-1, 1]) {
+    for (let k = reference + direction; k >= 0 && k < profiles.length; k += direction) {
+      if (variances[k] < variances[reference] * 0.15) break;
+      const link = bestLag(profiles[k - direction], profiles[k], maxShift);
+      if (link.correlation < minCorrelation) break;
+      shifts[k] = shifts[k - direction] + link.lag;
+    }
+  }
+
+  return shifts;
+}
+
+/**
+ * Lag d maximising the normalized correlation of a[r] with b[r + d]
+ */
+function bestLag(a, b, maxShift) {
+  const scores = new Float64Array(2 * maxShift + 1);
+  let best = 0;
+
+  for (let d = -maxShift; d <= maxShift; d++) {
+    scores[d + maxShift] = correlation(a, b, d);
+    if (scores[d + maxShift] > scores[best]) best = d + maxShift;
+  }
+
+  return { lag: best - maxShift + parabolaPeak(scores, best), correlation: scores[best] };
+}
+
+function correlation(a, b, lag) {
+  const from = Math.max(0, -lag);
+  const to = Math.min(a.length, b.length - lag);
+  const n = to - from;
+  if (n < 4) return 0;
+
+  let meanA = 0, meanB = 0;
+  for (let r = from; r < to; r++) {
+    meanA += a[r];
+    meanB += b[r + lag];
+  }
+  meanA /= n;
+  meanB /= n;
+
+  let ab = 0, aa = 0, bb = 0;
+  for (let r = from; r < to; r++) {
+    const da = a[r] - meanA;
+    const db = b[r + lag] - meanB;
+    ab += da * db;
+    aa += da * da;
+    bb += db * db;
+  }
+  return aa > 0 && bb > 0 ? ab / Math.sqrt(aa * bb) : 0;
+}
+
+/**
+ * Text line pitch: first autocorrelation peak of a row profile
+ */
+function linePeriod(profile) {
+  let previous = 1;
+  for (let lag = 2; lag < profile.length / 2; lag++) {
+    const current = correlation(profile, profile, lag);
+    const next = correlation(profile, profile, lag + 1);
+    if (current > previous && current >= next && current > 0.2) return lag;
+    previous = current;
+  }
+  return profile.length;
+}
+
+/**
+ * Text-line shift at (s, t): the upper half's measurement holds around
+ * t = 0.25, the lower half's around 0.75, fading to zero at the page edges
+ * which the edge curves already pin down
+ */
+function textLineShift(shifts, s, t) {
+  const x = 2 * Math.min(Math.max(s, 0), 1) - 1;
+  const upper = polyEval(shifts.upper, x);
+  const lower = polyEval(shifts.lower, x);
+
+  if (t < 0.25) return (upper * Math.max(t, 0)) / 0.25;
+  if (t > 0.75) return (lower * Math.max(1 - t, 0)) / 0.25;
+  return upper + ((lower - upper) * (t - 0.25)) / 0.5;
+}
+
+/**
+ * Sub-sample offset of a peak from the parabola through it and its neighbours
+ */
+function parabolaPeak(values, index) {
+  if (index <= 0 || index >= values.length - 1) return 0;
+  const left = values[index - 1];
+  const right = values[index + 1];
+  const denominator = left - 2 * values[index] + right;
+  return denominator < 0 ? (0.5 * (left - right)) / denominator : 0;
+}
+
+/**
+ * Bilinear luminance with edge clamping
+ */
+function grayAt(imageData, point) {
+  const { data, width, height } = imageData;
+  const x = Math.min(Math.max(point.x, 0), width - 1);
+  const y = Math.min(Math.max(point.y, 0), height - 1);
+  const x0 = Math.floor(x);
+  const y0 = Math.floor(y);
+  const x1 = Math.min(x0 + 1, width - 1);
+  const y1 = Math.min(y0 + 1, height - 1);
+  const fx = x - x0;
+  const fy = y - y0;
+
+  const luminance = (px, py) => {
+    const i = (py * width + px) * 4;
+    return 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+  };
+
+  const topValue = luminance(x0, y0) + (luminance(x1, y0) - luminance(x0, y0)) * fx;
+  const bottomValue = luminance(x0, y1) + (luminance(x1, y1) - luminance(x0, y1)) * fx;
+  return topValue + (bottomValue - topValue) * fy;
+}
+
+function variance(values) {
+  let mean = 0;
+  for (let i = 0; i < values.length; i++) mean += values[i];
+  mean /= Math.max(1, values.length);
+
+  let sum = 0;
+  for (let i = 0; i < values.length; i++) sum += (values[i] - mean) ** 2;
+  return sum / Math.max(1, values.length);
+}
+
+function median(values) {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+}
@@ -0,0 +1,258 @@
+/**
+ * Page orientation
+ * Finds which way up a document was photographed from its text:
+ * - projection profiles: the ink profile across text lines drops to zero
+ *   between them, the one along them hardly ever, which tells horizontal
+ *   lines (0 or 180 degrees) from vertical ones (90 or 270)
+ * - ascender/descender asymmetry: Latin script has more ink above the
+ *   x-height band (ascenders, capitals) than below it (descenders)
+ * - margin layout: left-aligned text has even line starts and ragged ends
+ */
+
+import { quadPoint } from './bookSpread.js';
+import { distance } from './quadGeometry.js';
+
+// Asymmetry and margin scores at which the direction counts as certain
+const FULL_ASYMMETRY = 0.3;
+const FULL_MARGIN = 0.5;
+
+/**
+ * Estimate the rotation that makes a document upright
+ * @param {{data: Uint8ClampedArray, width: number, height: number}} imageData - RGBA pixels
+ * @param {Array<{x: number, y: number}>} points - Ordered quad (TL, TR, BR, BL)
+ * @param {Object} options - { aspectRatio, maxSize, minContrast }
+ *   aspectRatio is the document's width:height when known; maxSize caps
+ *   the long side of the raster the text is analysed on
+ * @returns {{orientation: number, confidence: number}} orientation is the
+ *   clockwise rotation (0, 90, 180 or 270 degrees) that turns the document
+ *   upright; confidence is 0 when there is no text to go by
+ */
+export function estimateOrientation(imageData, points, options = {}) {
+  const { aspectRatio = null, maxSize = 800, minContrast = 40 } = options;
+  const none = { orientation: 0, confidence: 0 };
+
+  const raster = rasterize(imageData, points, aspectRatio, maxSize);
+  if (!raster) return none;
+  const ink = findInk(raster, minContrast);
+  if (!ink) return none;
+
+  // Text lines leave blank rows between them, or blank columns when vertical
+  const rowGaps = gapShare(profile(ink, 'rows'));
+  const columnGaps = gapShare(profile(ink, 'columns'));
+  if (rowGaps + columnGaps === 0) return none;
+  const vertical = columnGaps > rowGaps;
+  const axisConfidence = Math.abs(rowGaps - columnGaps) / (rowGaps + columnGaps);
+
+  // Bring the lines horizontal (a clockwise quarter turn for vertical ones)
+  // and read which way up they are
+  const lines = vertical ? rotateClockwise(ink) : ink;
+  const score = directionScore(lines);
+  if (score === null) return none;
+
+  const upright = score >= 0;
+  const orientation = vertical ? (upright ? 90 : 270) : (upright ? 0 : 180);
+  return {
+    orientation,
+    confidence: Math.min(1, Math.abs(score)) * Math.min(1, axisConfidence * 2),
+  };
+}
+
+/**
+ * Grey levels of the quad's interior, sampled on a rectangle with the
+ * document's proportions
+ */
+function rasterize(imageData, points, aspectRatio, maxSize) {
+  const [tl, tr, br, bl] = points;
+  const width = (distance(tl, tr) + distance(bl, br)) / 2;
+  const height = (distance(tl, bl) + distance(tr, br)) / 2;
+  if (width < 20 || height < 20) return null;
+
+  const ratio = aspectRatio || width / height;
+  const long = Math.min(maxSize, Math.max(width, height));
+  const w = Math.round(ratio >= 1 ? long : long * ratio);
+  const h = Math.round(ratio >= 1 ? long / ratio : long);
+  const gray = new Float32Array(w * h);
+
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      const p = quadPoint(points, (x + 0.5) / w, (y + 0.5) / h);
+      const sx = Math.min(imageData.width - 1, Math.max(0, Math.round(p.x)));
+      const sy = Math.min(imageData.height - 1, Math.max(0, Math.round(p.y)));
+      const i = (sy * imageData.width + sx) * 4;
+      gray[y * w + x] = 0.299 * imageData.data[i] + 0.587 * imageData.data[i + 1] + 0.114 * imageData.data[i + 2];
+    }
+  }
+
+  return { gray, width: w, height: h };
+}
+
+/**
+ * Binary ink mask: pixels well below the paper level
+ * A band along the border is left out, where the background can show.
+ * @returns {{mask: Uint8Array, width: number, height: number}|null} null without contrast
+ */
+function findInk(raster, minContrast) {
+  const { gray, width, height } = raster;
+  const sorted = Float32Array.from(gray).sort();
+  const paper = sorted[Math.floor(sorted.length * 0.9)];
+  const dark = sorted[Math.floor(sorted.length * 0.02)];
+  if (paper - dark < minContrast) return null;
+
+  const threshold = (paper + dark) / 2;
+  const mx = Math.round(width * 0.03);
+  const my = Math.round(height * 0.03);
+  const mask = new Uint8Array(width * height);
+  let count = 0;
+
+  for (let y = my; y < height - my; y++) {
+    for (let x = mx; x < width - mx; x++) {
+      if (gray[y * width + x] < threshold) {
+        mask[y * width + x] = 1;
+        count++;
+      }
+    }
+  }
+
+  return count >= width * height * 0.002 ? { mask, width, height } : null;
+}
+
+/**
+ * Ink count per row or per column
+ */
+function profile(ink, direction) {
+  const { mask, width, height } = ink;
+  const rows = direction === 'rows';
+  const result = new Float64Array(rows ? height : width);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (mask[y * width + x]) result[rows ? y : x]++;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Share of the inked span that is (nearly) empty
+ * Between horizontal text lines whole rows are blank; a column is only
+ * blank where every line happens to have a gap, so letter and word spacing
+ * hardly shows up.
+ */
+function gapShare(values) {
+  let max = 0;
+  let first = -1;
+  let last = -1;
+  for (let i = 0; i < values.length; i++) {
+    max = Math.max(max, values[i]);
+    if (values[i] > 0) {
+      if (first < 0) first = i;
+      last = i;
+    }
+  }
+  if (first < 0 || last === first) return 0;
+
+  let gaps = 0;
+  for (let i = first; i <= last; i++) {
+    if (values[i] <= max * 0.02) gaps++;
+  }
+  return gaps / (last - first + 1);
+}
+
+/**
+ * Positive when horizontal text lines read upright, negative when upside down
+ * Combines the ascender/descender asymmetry within each line with how much
+ * more even the line starts are than the line ends.
+ * @returns {number|null} Roughly -1..1, null when no lines are found
+ */
+function directionScore(ink) {
+  const { mask, width } = ink;
+  const rows = profile(ink, 'rows');
+  const lines = findLines(rows);
+  if (lines.length === 0) return null;
+
+  let above = 0;
+  let below = 0;
+  const starts = [];
+  const ends = [];
+
+  for (const { from, to } of lines) {
+    // The x-height band is where the line's ink is densest
+    let peak = 0;
+    for (let y = from; y <= to; y++) peak = Math.max(peak, rows[y]);
+    let coreTop = from;
+    while (rows[coreTop] < peak / 2) coreTop++;
+    let coreBottom = to;
+    while (rows[coreBottom] < peak / 2) coreBottom--;
+    for (let y = from; y < coreTop; y++) above += rows[y];
+    for (let y = coreBottom + 1; y <= to; y++) below += rows[y];
+
+    let first = -1;
+    let last = -1;
+    for (let x = 0; x < width; x++) {
+      for (let y = from; y <= to; y++) {
+        if (!mask[y * width + x]) continue;
+        if (first < 0) first = x;
+        last = x;
+        break;
+      }
+    }
+    if (first >= 0) {
+      starts.push(first);
+      ends.push(last);
+    }
+  }
+
+  const asymmetry = above + below > 0 ? (above - below) / (above + below) : 0;
+  // Ragged ends against even starts; single lines say nothing about margins
+  let margin = 0;
+  if (starts.length >= 3) {
+    const startSpread = medianDeviation(starts);
+    const endSpread = medianDeviation(ends);
+    if (startSpread + endSpread > 0) margin = (endSpread - startSpread) / (startSpread + endSpread);
+  }
+
+  return (asymmetry / FULL_ASYMMETRY + margin / FULL_MARGIN) / 2;
+}
+
+/**
+ * Runs of rows holding a text line: ink above a tenth of the busiest row
+ */
+function findLines(rows) {
+  let max = 0;
+  for (const value of rows) max = Math.max(max, value);
+  const lines = [];
+  let from = -1;
+
+  for (let y = 0; y <= rows.length; y++) {
+    const inLine = y < rows.length && rows[y] > max * 0.1;
+    if (inLine && from < 0) from = y;
+    if (!inLine && from >= 0) {
+      // Runs of a row or two are rules or noise, not text
+      if (y - from >= 3) lines.push({ from, to: y - 1 });
+      from = -1;
+    }
+  }
+
+  return lines;
+}
+
+/**
+ * Ink mask turned a quarter clockwise
+ */
+function rotateClockwise(ink) {
+  const { mask, width, height } = ink;
+  const rotated = new Uint8Array(width * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      rotated[x * height + (height - 1 - y)] = mask[y * width + x];
+    }
+  }
+  return { mask: rotated, width: height, height: width };
+}
+
+function medianDeviation(values) {
+  const median = (list) => [...list].sort((a, b) => a - b)[Math.floor(list.length / 2)];
+  const center = median(values);
+  return median(values.map((v) => Math.abs(v - center)));
+}
@@ -0,0 +1,127 @@
+/**
+ * Physical aspect ratio
+ * A photographed rectangle is a projective image of a real one. With the
+ * principal point at the image centre and square pixels, the quad fixes the
+ * camera's focal length and the rectangle's true width:height ratio.
+ *
+ * Z. Zhang & L.-W. He, "Whiteboard scanning and image enhancement" (2007)
+ */
+
+import { distance } from './quadGeometry.js';
+
+/**
+ * Common paper sizes in millimetres (width, height in portrait)
+ * A4 and A5 share the sqrt(2) ratio: the earlier entry wins when snapping.
+ */
+export const PAPER_SIZES = [
+  { name: 'A4', width: 210, height: 297 },
+  { name: 'Letter', width: 215.9, height: 279.4 },
+  { name: 'Legal', width: 215.9, height: 355.6 },
+  { name: 'A5', width: 148, height: 210 },
+];
+
+/**
+ * True width:height ratio of the rectangle a quad depicts
+ * @param {Array<{x: number, y: number}>} points - Ordered quad (TL, TR, BR, BL)
+ * @param {number} imageWidth - Width of the image the quad lies in
+ * @param {number} imageHeight - Height of the image the quad lies in
+ * @param {Object} options - { focalLength } in pixels, skips the estimate
+ * @returns {{ratio: number, focalLength: number|null}} Ratio of the TL-TR
+ *   side to the TL-BL side; focalLength is null when the quad cannot fix it
+ *   (a pair of sides close to parallel) and a typical one was assumed
+ */
+export function estimateAspectRatio(points, imageWidth, imageHeight, options = {}) {
+  const [tl, tr, br, bl] = points;
+  const u0 = imageWidth / 2;
+  const v0 = imageHeight / 2;
+  const diagonal = Math.sqrt(imageWidth * imageWidth + imageHeight * imageHeight);
+
+  // Homogeneous corners, numbered as in the paper: m1 (0,0), m2 (w,0), m3 (0,h), m4 (w,h)
+  const m1 = [tl.x, tl.y, 1];
+  const m2 = [tr.x, tr.y, 1];
+  const m3 = [bl.x, bl.y, 1];
+  const m4 = [br.x, br.y, 1];
+
+  const m14 = cross(m1, m4);
+  const k2 = dot(m14, m3) / dot(cross(m2, m4), m3);
+  const k3 = dot(m14, m2) / dot(cross(m3, m4), m2);
+  if (!Number.isFinite(k2) || !Number.isFinite(k3)) {
+    return { ratio: sideRatio(points), focalLength: null };
+  }
+
+  const n2 = m2.map((v, i) => k2 * v - m1[i]);
+  const n3 = m3.map((v, i) => k3 * v - m1[i]);
+
+  let focalLength = options.focalLength || null;
+  // Both vanishing points must be finite: a pair of parallel sides leaves
+  // the focal length undetermined
+  if (!focalLength && Math.abs(k2 - 1) > 0.02 && Math.abs(k3 - 1) > 0.02) {
+    const f2 = -(
+      (n2[0] * n3[0] - (n2[0] * n3[2] + n2[2] * n3[0]) * u0 + n2[2] * n3[2] * u0 * u0) +
+      (n2[1] * n3[1] - (n2[1] * n3[2] + n2[2] * n3[1]) * v0 + n2[2] * n3[2] * v0 * v0)
+    ) / (n2[2] * n3[2]);
+    const f = Math.sqrt(f2);
+    // Outside this range the estimate is noise from near-parallel sides
+    if (f2 > 0 && f > diagonal * 0.2 && f < diagonal * 5) focalLength = f;
+  }
+
+  // Fallback: about a 32mm-equivalent lens, typical of phone cameras
+  const f = focalLength || diagonal * 0.75;
+  const norm = (n) => ((n[0] - u0 * n[2]) ** 2 + (n[1] - v0 * n[2]) ** 2) / (f * f) + n[2] * n[2];
+  const ratio = Math.sqrt(norm(n2) / norm(n3));
+
+  return {
+    ratio: Number.isFinite(ratio) && ratio > 0 ? ratio : sideRatio(points),
+    focalLength: options.focalLength ? null : focalLength,
+  };
+}
+
+/**
+ * Nearest known paper size to a width:height ratio, in either orientation
+ * @param {number} ratio - Width:height ratio
+ * @param {Object} options - { sizes, tolerance } tolerance is relative to the paper ratio
+ * @returns {{ratio: number, paperSize: string}|null} The paper's exact ratio
+ *   in the input's orientation, or null when none is within tolerance
+ */
+export function snapToPaperSize(ratio, options = {}) {
+  const { sizes = PAPER_SIZES, tolerance = 0.03 } = options;
+  const landscape = ratio > 1;
+  const long = landscape ? ratio : 1 / ratio;
+
+  let best = null;
+  for (const size of sizes) {
+    const paperRatio = Math.max(size.width, size.height) / Math.min(size.width, size.height);
+    const error = Math.abs(long - paperRatio) / paperRatio;
+    if (error <= tolerance && (!best || error < best.error - 0.005)) {
+      best = { error, paperRatio, name: size.name };
+    }
+  }
+
+  if (!best) return null;
+  return {
+    ratio: landscape ? best.paperRatio : 1 / best.paperRatio,
+    paperSize: best.name,
+  };
+}
+
+/**
+ * Ratio of the averaged opposite sides, when the projective estimate fails
+ */
+function sideRatio(points) {
+  const [tl, tr, br, bl] = points;
+  const width = (distance(tl, tr) + distance(bl, br)) / 2;
+  const height = (distance(tl, bl) + distance(tr, br)) / 2;
+  return height > 0 ? width / height : 1;
+}
+
+function cross(a, b) {
+  return [
+    a[1] * b[2] - a[2] * b[1],
+    a[2] * b[0] - a[0] * b[2],
+    a[0] * b[1] - a[1] * b[0],
+  ];
+}
+
+function dot(a, b) {
+  return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+}
@@ -0,0 +1,278 @@
+/**
+ * Multi-resolution helpers
+ * Detection runs on a downscaled copy; corners are then refined
+ * against the full-resolution pixels in a small window around each one.
+ */
+
+/**
+ * Downscale an RGBA buffer by an integer factor using area averaging
+ * @param {{data: Uint8ClampedArray, width: number, height: number}} imageData - RGBA source
+ * @param {number} factor - Integer reduction factor (>= 1)
+ * @returns {{data: Uint8ClampedArray, width: number, height: number}}
+ */
+export function downscaleImageData(imageData, factor) {
+  const { data, width, height } = imageData;
+  if (factor <= 1) return imageData;
+
+  const outWidth = Math.max(1, Math.floor(width / factor));
+  const outHeight = Math.max(1, Math.floor(height / factor));
+  const result = new Uint8ClampedArray(outWidth * outHeight * 4);
+  const count = factor * factor;
+
+  for (let y = 0; y < outHeight; y++) {
+    for (let x = 0; x < outWidth; x++) {
+      let r = 0, g = 0, b = 0, a = 0;
+
+      for (let fy = 0; fy < factor; fy++) {
+        const row = (y * factor + fy) * width;
+        for (let fx = 0; fx < factor; fx++) {
+          const idx = (row + x * factor + fx) * 4;
+          r += data[idx];
+          g += data[idx + 1];
+          b += data[idx + 2];
+          a += data[idx + 3];
+        }
+      }
+
+      const out = (y * outWidth + x) * 4;
+      result[out] = r / count;
+      result[out + 1] = g / count;
+      result[out + 2] = b / count;
+      result[out + 3] = a / count;
+    }
+  }
+
+  return { data: result, width: outWidth, height: outHeight };
+}
+
+/**
+ * Map a boundary detected at reduced resolution back to source coordinates
+ * Pixel centres are mapped, so a point at (x, y) becomes x * f + (f - 1) / 2.
+ * Nested boundaries are mapped with it.
+ */
+export function upscaleBoundary(boundary, factor) {
+  const offset = (factor - 1) / 2;
+  const scalePoint = (p) => ({ x: p.x * factor + offset, y: p.y * factor + offset });
+
+  return {
+    ...boundary,
+    points: boundary.points.map(scalePoint),
+    area: boundary.area * factor * factor,
+    boundingRect: {
+      x: boundary.boundingRect.x * factor + offset,
+      y: boundary.boundingRect.y * factor + offset,
+      width: boundary.boundingRect.width * factor,
+      height: boundary.boundingRect.height * factor,
+    },
+    children: (boundary.children || []).map((child) => upscaleBoundary(child, factor)),
+  };
+}
+
+/**
+ * Refine polygon corners against full-resolution pixels
+ * For every corner, both incident sides are re-located inside a small window
+ * by searching along their normals for the strongest gradient, fitted as lines
+ * and intersected. A second, tighter pass starts from the first estimate.
+ * Corners that cannot be refined are returned unchanged.
+ * @param {{data: Uint8ClampedArray, width: number, height: number}} imageData - Full-resolution RGBA
+ * @param {Array<{x: number, y: number}>} points - Ordered polygon corners
+ * @param {Object} options - { radius } search radius in pixels
+ * @returns {Array<{x: number, y: number}>} Refined corners (sub-pixel precision)
+ */
+export function refineCorners(imageData, points, options = {}) {
+  const { radius = 8 } = options;
+  if (points.length < 3) return points;
+
+  const coarse = refinePass(imageData, points, radius);
+  return refinePass(imageData, coarse, Math.max(2, Math.round(radius / 2)));
+}
+
+function refinePass(imageData, points, radius) {
+  return points.map((corner, i) => {
+    const prev = findNeighbour(points, i, -1, radius);
+    const next = findNeighbour(points, i, 1, radius);
+    if (!prev || !next) return corner;
+
+    const patch = getGradientPatch(imageData, corner, radius * 3);
+    const lineA = fitSideNearCorner(patch, corner, prev, radius);
+    const lineB = fitSideNearCorner(patch, corner, next, radius);
+    if (!lineA || !lineB) return corner;
+
+    const refined = intersectLines(lineA, lineB);
+    if (!refined) return corner;
+
+    const dx = refined.x - corner.x;
+    const dy = refined.y - corner.y;
+    if (Math.sqrt(dx * dx + dy * dy) > radius * 1.5) return corner;
+
+    return refined;
+  });
+}
+
+/**
+ * Nearest vertex in the given direction that is far enough away to define a side
+ */
+function findNeighbour(points, index, step, radius) {
+  const n = points.length;
+  const corner = points[index];
+
+  for (let k = 1; k < n; k++) {
+    const p = points[(index + step * k + n * n) % n];
+    const dx = p.x - corner.x;
+    const dy = p.y - corner.y;
+    if (Math.sqrt(dx * dx + dy * dy) >= radius * 2) return p;
+  }
+
+  return null;
+}
+
+/**
+ * Grayscale + Sobel gradients for a square window around a point
+ */
+function getGradientPatch(imageData, center, half) {
+  const { data, width, height } = imageData;
+  const x0 = Math.max(0, Math.floor(center.x - half));
+  const y0 = Math.max(0, Math.floor(center.y - half));
+  const x1 = Math.min(width - 1, Math.ceil(center.x + half));
+  const y1 = Math.min(height - 1, Math.ceil(center.y + half));
+  const w = x1 - x0 + 1;
+  const h = y1 - y0 + 1;
+
+  const gray = new Float32Array(w * h);
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      const idx = ((y0 + y) * width + x0 + x) * 4;
+      gray[y * w + x] = 0.299 * data[idx] + 0.587 * data[idx + 1] + 0.114 * data[idx + 2];
+    }
+  }
+
+  const gx = new Float32Array(w * h);
+  const gy = new Float32Array(w * h);
+  for (let y = 1; y < h - 1; y++) {
+    for (let x = 1; x < w - 1; x++) {
+      const i = y * w + x;
+      gx[i] = (gray[i - w + 1] + 2 * gray[i + 1] + gray[i + w + 1]) -
+              (gray[i - w - 1] + 2 * gray[i - 1] + gray[i + w - 1]);
+      gy[i] = (gray[i + w - 1] + 2 * gray[i + w] + gray[i + w + 1]) -
+              (gray[i - w - 1] + 2 * gray[i - w] + gray[i - w + 1]);
+    }
+  }
+
+  return { x0, y0, w, h, gx, gy };
+}
+
+/**
+ * Sample the side running from `corner` towards `other` and fit a line to
+ * the gradient maxima found along its normal
+ */
+function fitSideNearCorner(patch, corner, other, radius) {
+  const ex = other.x - corner.x;
+  const ey = other.y - corner.y;
+  const len = Math.sqrt(ex * ex + ey * ey);
+  if (len < radius) return null;
+
+  const ux = ex / len;
+  const uy = ey / len;
+  const nx = -uy;
+  const ny = ux;
+
+  const samples = [];
+  const numSamples = 8;
+
+  for (let s = 0; s < numSamples; s++) {
+    // Skip the corner itself, where both sides' gradients mix
+    const d = radius * (0.5 + (1.5 * s) / (numSamples - 1));
+    const bx = corner.x + ux * d;
+    const by = corner.y + uy * d;
+
+    let best = -1;
+    let bestOffset = 0;
+    const responses = [];
+
+    for (let o = -radius; o <= radius; o++) {
+      const g = sampleGradient(patch, bx + nx * o, by + ny * o);
+      const response = g ? Math.abs(g.x * nx + g.y * ny) : 0;
+      responses.push(response);
+      if (response > best) {
+        best = response;
+        bestOffset = o;
+      }
+    }
+
+    if (best <= 0) continue;
+
+    // Parabolic sub-pixel interpolation around the peak
+    const k = bestOffset + radius;
+    let offset = bestOffset;
+    if (k > 0 && k < responses.length - 1) {
+      const a = responses[k - 1];
+      const b = responses[k];
+      const c = responses[k + 1];
+      const denom = a - 2 * b + c;
+      if (denom !== 0) offset += 0.5 * (a - c) / denom;
+    }
+
+    samples.push({ x: bx + nx * offset, y: by + ny * offset });
+  }
+
+  if (samples.length < 3) return null;
+  return fitLine(samples);
+}
+
+function sampleGradient(patch, x, y) {
+  const lx = x - patch.x0;
+  const ly = y - patch.y0;
+  if (lx < 1 || ly < 1 || lx >= patch.w - 2 || ly >= patch.h - 2) return null;
+
+  const ix = Math.floor(lx);
+  const iy = Math.floor(ly);
+  const fx = lx - ix;
+  const fy = ly - iy;
+  const i = iy * patch.w + ix;
+  const w = patch.w;
+
+  const lerp = (arr) => {
+    const top = arr[i] + (arr[i + 1] - arr[i]) * fx;
+    const bottom = arr[i + w] + (arr[i + w + 1] - arr[i + w]) * fx;
+    return top + (bottom - top) * fy;
+  };
+
+  return { x: lerp(patch.gx), y: lerp(patch.gy) };
+}
+
+/**
+ * Total least squares line fit: returns point on line and unit direction
+ */
+export function fitLine(points) {
+  const n = points.length;
+  let mx = 0, my = 0;
+  for (const p of points) {
+    mx += p.x;
+    my += p.y;
+  }
+  mx /= n;
+  my /= n;
+
+  let sxx = 0, sxy = 0, syy = 0;
+  for (const p of points) {
+    const dx = p.x - mx;
+    const dy = p.y - my;
+    sxx += dx * dx;
+    sxy += dx * dy;
+    syy += dy * dy;
+  }
+
+  const angle = 0.5 * Math.atan2(2 * sxy, sxx - syy);
+  return { x: mx, y: my, dx: Math.cos(angle), dy: Math.sin(angle) };
+}
+
+/**
+ * Intersection of two lines in point/direction form
+ */
+export function intersectLines(a, b) {
+  const denom = a.dx * b.dy - a.dy * b.dx;
+  if (Math.abs(denom) < 1e-9) return null;
+
+  const t = ((b.x - a.x) * b.dy - (b.y - a.y) * b.dx) / denom;
+  return { x: a.x + a.dx * t, y: a.y + a.dy * t };
+}
@@ -0,0 +1,252 @@
+/**
+ * Quadrilateral geometry helpers
+ * Shared by confidence scoring, overlap suppression and the
+ * perspective-aware measurements
+ */
+
+/**
+ * Interior angle (degrees) at every vertex of a polygon
+ */
+export function cornerAngles(points) {
+  const n = points.length;
+
+  return points.map((p, i) => {
+    const prev = points[(i - 1 + n) % n];
+    const next = points[(i + 1) % n];
+    const v1x = prev.x - p.x;
+    const v1y = prev.y - p.y;
+    const v2x = next.x - p.x;
+    const v2y = next.y - p.y;
+    const len = Math.sqrt(v1x * v1x + v1y * v1y) * Math.sqrt(v2x * v2x + v2y * v2y);
+    if (len === 0) return 0;
+
+    const cos = Math.max(-1, Math.min(1, (v1x * v2x + v1y * v2y) / len));
+    return (Math.acos(cos) * 180) / Math.PI;
+  });
+}
+
+/**
+ * Homogeneous line through two points
+ */
+export function lineThrough(a, b) {
+  return [a.y - b.y, b.x - a.x, a.x * b.y - b.x * a.y];
+}
+
+/**
+ * Homogeneous intersection of two lines
+ */
+export function crossLines(l1, l2) {
+  return [
+    l1[1] * l2[2] - l1[2] * l2[1],
+    l1[2] * l2[0] - l1[0] * l2[2],
+    l1[0] * l2[1] - l1[1] * l2[0],
+  ];
+}
+
+/**
+ * Vanishing points of the two pairs of opposite sides of an ordered quad
+ * (TL, TR, BR, BL). Each is returned in homogeneous form; w close to zero
+ * means the pair is parallel in the image.
+ */
+export function vanishingPoints(points) {
+  const [tl, tr, br, bl] = points;
+  return {
+    horizontal: crossLines(lineThrough(tl, tr), lineThrough(bl, br)),
+    vertical: crossLines(lineThrough(tl, bl), lineThrough(tr, br)),
+  };
+}
+
+/**
+ * Whether a homogeneous point lies effectively at infinity relative to a scale
+ */
+export function isAtInfinity(point, scale) {
+  const w = point[2];
+  const norm = Math.sqrt(point[0] * point[0] + point[1] * point[1]);
+  return norm === 0 || Math.abs(w) * scale * 50 < norm;
+}
+
+/**
+ * Absolute area of a simple polygon (shoelace formula)
+ */
+export function polygonArea(points) {
+  let sum = 0;
+  for (let i = 0; i < points.length; i++) {
+    const a = points[i];
+    const b = points[(i + 1) % points.length];
+    sum += a.x * b.y - b.x * a.y;
+  }
+  return Math.abs(sum) / 2;
+}
+
+/**
+ * Euclidean distance between two points
+ */
+export function distance(a, b) {
+  return Math.sqrt((b.x - a.x) ** 2 + (b.y - a.y) ** 2);
+}
+
+/**
+ * Whether an ordered quad is strictly convex (no straight or reflex corner)
+ */
+export function isConvexQuad(points) {
+  let sign = 0;
+  for (let i = 0; i < 4; i++) {
+    const a = points[i];
+    const b = points[(i + 1) % 4];
+    const c = points[(i + 2) % 4];
+    const cross = (b.x - a.x) * (c.y - b.y) - (b.y - a.y) * (c.x - b.x);
+    if (Math.abs(cross) < 1e-9) return false;
+    if (sign === 0) sign = Math.sign(cross);
+    else if (Math.sign(cross) !== sign) return false;
+  }
+  return true;
+}
+
+/**
+ * Convex hull (monotone chain), counter-clockwise in y-up coordinates
+ */
+export function convexHull(points) {
+  const sorted = [...points].sort((a, b) => a.x - b.x || a.y - b.y);
+  if (sorted.length < 3) return sorted;
+
+  const cross = (o, a, b) => (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+  const lower = [];
+  const upper = [];
+
+  for (const p of sorted) {
+    while (lower.length >= 2 && cross(lower[lower.length - 2], lower[lower.length - 1], p) <= 0) lower.pop();
+    lower.push(p);
+  }
+  for (let i = sorted.length - 1; i >= 0; i--) {
+    const p = sorted[i];
+    while (upper.length >= 2 && cross(upper[upper.length - 2], upper[upper.length - 1], p) <= 0) upper.pop();
+    upper.push(p);
+  }
+
+  lower.pop();
+  upper.pop();
+  return lower.concat(upper);
+}
+
+/**
+ * Intersection of two convex polygons with the same orientation
+ * (Sutherland-Hodgman, clipping `subject` by every edge of `clip`)
+ */
+export function clipConvexPolygon(subject, clip) {
+  let output = subject;
+
+  for (let i = 0; i < clip.length && output.length > 0; i++) {
+    const a = clip[i];
+    const b = clip[(i + 1) % clip.length];
+    const side = (p) => (b.x - a.x) * (p.y - a.y) - (b.y - a.y) * (p.x - a.x);
+    const input = output;
+    output = [];
+
+    for (let j = 0; j < input.length; j++) {
+      const p = input[j];
+      const q = input[(j + 1) % input.length];
+      const sp = side(p);
+      const sq = side(q);
+
+      if (sp >= 0) output.push(p);
+      if ((sp >= 0) !== (sq >= 0)) {
+        const t = sp / (sp - sq);
+        output.push({ x: p.x + (q.x - p.x) * t, y: p.y + (q.y - p.y) * t });
+      }
+    }
+  }
+
+  return output;
+}
+
+/**
+ * Overlap between two polygons, each taken as its convex hull
+ * @returns {{iou: number, aInB: number, bInA: number}} Intersection over union
+ *   and the share of each polygon's area lying inside the other
+ */
+export function polygonOverlap(a, b) {
+  const hullA = convexHull(a);
+  const hullB = convexHull(b);
+  const areaA = polygonArea(hullA);
+  const areaB = polygonArea(hullB);
+  if (areaA === 0 || areaB === 0) return { iou: 0, aInB: 0, bInA: 0 };
+
+  const intersection = polygonArea(clipConvexPolygon(hullA, hullB));
+  return {
+    iou: intersection / (areaA + areaB - intersection),
+    aInB: intersection / areaA,
+    bInA: intersection / areaB,
+  };
+}
+
+/**
+ * Minimum-area enclosing rectangle (rotating calipers on the convex hull)
+ * One side of the optimal rectangle is collinear with a hull edge, so each
+ * edge is tried while three calipers track the extreme hull points along
+ * the edge and its normal; they only ever move forwards.
+ * @param {Array<{x: number, y: number}>} points - Any point set
+ * @returns {{points: Array<{x: number, y: number}>, width: number, height: number, area: number}|null}
+ *   Corners in hull order, or null for fewer than three distinct points
+ */
+export function minAreaRect(points) {
+  const hull = convexHull(points);
+  const n = hull.length;
+  if (n < 3) return null;
+
+  const dot = (p, a, d) => (p.x - a.x) * d.x + (p.y - a.y) * d.y;
+  let best = null;
+  let right = 0, top = 0, left = 0;
+
+  for (let i = 0; i < n; i++) {
+    const a = hull[i];
+    const b = hull[(i + 1) % n];
+    const len = Math.sqrt((b.x - a.x) ** 2 + (b.y - a.y) ** 2);
+    if (len === 0) continue;
+
+    // Hull is counter-clockwise (y up), so the normal points inwards
+    const u = { x: (b.x - a.x) / len, y: (b.y - a.y) / len };
+    const v = { x: -u.y, y: u.x };
+
+    if (i === 0) {
+      right = top = left = i;
+      for (let k = 0; k < n; k++) {
+        if (dot(hull[k], a, u) > dot(hull[right], a, u)) right = k;
+        if (dot(hull[k], a, v) > dot(hull[top], a, v)) top = k;
+        if (dot(hull[k], a, u) < dot(hull[left], a, u)) left = k;
+      }
+    } else {
+      while (dot(hull[(right + 1) % n], a, u) > dot(hull[right], a, u)) right = (right + 1) % n;
+      while (dot(hull[(top + 1) % n], a, v) > dot(hull[top], a, v)) top = (top + 1) % n;
+      while (dot(hull[(left + 1) % n], a, u) < dot(hull[left], a, u)) left = (left + 1) % n;
+    }
+
+    const minU = dot(hull[left], a, u);
+    const maxU = dot(hull[right], a, u);
+    const maxV = dot(hull[top], a, v);
+    const area = (maxU - minU) * maxV;
+
+    if (!best || area < best.area) {
+      const corner = (s, t) => ({ x: a.x + u.x * s + v.x * t, y: a.y + u.y * s + v.y * t });
+      best = {
+        points: [corner(minU, 0), corner(maxU, 0), corner(maxU, maxV), corner(minU, maxV)],
+        width: maxU - minU,
+        height: maxV,
+        area,
+      };
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Rotation of an ordered quad (TL, TR, BR, BL) in degrees: the mean
+ * direction of its top and bottom sides, positive when turned clockwise
+ * on screen
+ */
+export function quadAngle(points) {
+  const [tl, tr, br, bl] = points;
+  const dx = (tr.x - tl.x) + (br.x - bl.x);
+  const dy = (tr.y - tl.y) + (br.y - bl.y);
+  return (Math.atan2(dy, dx) * 180) / Math.PI;
+}
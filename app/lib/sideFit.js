@@ -0,0 +1,279 @@
+/**
+ * Corners from fitted sides
+ * Corners picked off a contour are contour pixels: on a rounded card, a
+ * dog-eared page or a page held by a thumb they sit inside the true corner.
+ * Each side is instead fitted as a straight line to the points along its
+ * middle, by RANSAC so that stretches leaving the side (a fold, a thumb, a
+ * shadow) are ignored, and the corners become the intersections of adjacent
+ * side lines.
+ *
+ * Contours run along the outside of the thresholded edge band, a few pixels
+ * off the document. Given the image gradients, every point is first moved
+ * onto the edge itself.
+ */
+
+import { fitLine, intersectLines } from './pyramid.js';
+import { isConvexQuad, distance } from './quadGeometry.js';
+
+// Pairs tried per side: RANSAC_GRID x RANSAC_GRID, spread over the side
+const RANSAC_GRID = 8;
+
+/**
+ * Refit the sides of a quad to the outline points along them
+ * @param {Array<{x: number, y: number}>} outline - Points along the document edge (contour or edge pixels)
+ * @param {Array<{x: number, y: number}>} corners - Ordered quad (TL, TR, BR, BL)
+ * @param {Object} options - { gradientAt, searchRange, minGradient, cornerMargin,
+ *   maxOffset, minOffset, maxShift, minPoints, tolerance, passes, fixedSides }
+ *   gradientAt ((x, y) => [gx, gy] or null outside the image) enables
+ *   moving points onto the edge, searched up to searchRange pixels along the
+ *   side's normal;
+ *   cornerMargin is the share of each side excluded at either end;
+ *   maxOffset the distance, as a share of the side's length but at least
+ *   minOffset pixels, beyond which a point is not considered part of it
+ *   (short sides of long documents need the floor); maxShift how far, as a share of the
+ *   short side, a corner may move; tolerance the RANSAC inlier distance;
+ *   fixedSides lists side indices (0 top to 3 left) kept as they are
+ * @returns {{points: Array<{x: number, y: number}>, residuals: Array<number|null>}}
+ *   residuals are the RMS point-to-line distances in pixels for the top,
+ *   right, bottom and left sides, null for sides with too few points; the
+ *   input corners are returned when the fitted lines do not form a
+ *   plausible quad
+ */
+export function fitQuadSides(outline, corners, options = {}) {
+  const { maxShift = 0.25, passes = 2 } = options;
+  const short = Math.min(
+    distance(corners[0], corners[1]) + distance(corners[3], corners[2]),
+    distance(corners[0], corners[3]) + distance(corners[1], corners[2])
+  ) / 2;
+
+  let result = { points: corners, residuals: [null, null, null, null] };
+
+  // Side assignment depends on the corners, so later passes start from the
+  // refitted ones
+  for (let pass = 0; pass < passes; pass++) {
+    const fitted = fitPass(outline, result.points, options);
+    if (!fitted) break;
+
+    const plausible = fitted.points.every((p, i) => p && distance(p, corners[i]) <= short * maxShift) &&
+      isConvexQuad(fitted.points);
+    if (!plausible) break;
+    result = fitted;
+  }
+
+  return result;
+}
+
+/**
+ * Edge pixels within a band around the sides of a quad
+ * @param {Uint8Array} edgeMap - Binary edge image (non-zero = edge)
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {Array<{x: number, y: number}>} corners - Ordered quad
+ * @param {number} band - Half-width of the band in pixels
+ * @returns {Array<{x: number, y: number}>}
+ */
+export function edgePointsAlongQuad(edgeMap, width, height, corners, band = 3) {
+  const seen = new Set();
+  const points = [];
+
+  corners.forEach((a, i) => {
+    const b = corners[(i + 1) % 4];
+    const length = distance(a, b);
+    if (length === 0) return;
+    const dx = (b.x - a.x) / length;
+    const dy = (b.y - a.y) / length;
+
+    for (let s = 0; s <= length; s++) {
+      for (let d = -band; d <= band; d++) {
+        const x = Math.round(a.x + dx * s - dy * d);
+        const y = Math.round(a.y + dy * s + dx * d);
+        if (x < 0 || y < 0 || x >= width || y >= height) continue;
+        const idx = y * width + x;
+        if (!edgeMap[idx] || seen.has(idx)) continue;
+        seen.add(idx);
+        points.push({ x, y });
+      }
+    }
+  });
+
+  return points;
+}
+
+/**
+ * Refit a quad's sides against an image, starting from approximate corners
+ * Points are sampled along each side and moved onto the edge, so corners
+ * from a reduced copy can be refined without processing the full image.
+ * @param {{data: Uint8ClampedArray, width: number, height: number}} imageData - RGBA pixels
+ * @param {Array<{x: number, y: number}>} corners - Ordered quad (TL, TR, BR, BL)
+ * @param {Object} options - fitQuadSides options
+ * @returns {{points: Array<{x: number, y: number}>, residuals: Array<number|null>}}
+ */
+export function fitQuadToImage(imageData, corners, options = {}) {
+  const samples = [];
+  corners.forEach((a, i) => {
+    const b = corners[(i + 1) % 4];
+    const steps = Math.ceil(distance(a, b) / 2);
+    for (let k = 1; k < steps; k++) {
+      samples.push({ x: a.x + ((b.x - a.x) * k) / steps, y: a.y + ((b.y - a.y) * k) / steps });
+    }
+  });
+
+  return fitQuadSides(samples, corners, { gradientAt: imageGradientSampler(imageData), ...options });
+}
+
+/**
+ * Gradient lookup into precomputed Sobel gradients
+ */
+export function gradientSampler(gradients, width, height) {
+  const { gx, gy } = gradients;
+  return (x, y) => {
+    if (x < 0 || y < 0 || x >= width || y >= height) return null;
+    const i = y * width + x;
+    return [gx[i], gy[i]];
+  };
+}
+
+/**
+ * Sobel gradients of the grey levels, computed per pixel on demand
+ */
+function imageGradientSampler(imageData) {
+  const { data, width, height } = imageData;
+  const gray = (x, y) => {
+    const i = (y * width + x) * 4;
+    return 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+  };
+
+  return (x, y) => {
+    if (x < 1 || y < 1 || x >= width - 1 || y >= height - 1) return null;
+    const tl = gray(x - 1, y - 1), t = gray(x, y - 1), tr = gray(x + 1, y - 1);
+    const l = gray(x - 1, y), r = gray(x + 1, y);
+    const bl = gray(x - 1, y + 1), b = gray(x, y + 1), br = gray(x + 1, y + 1);
+    return [(tr + 2 * r + br) - (tl + 2 * l + bl), (bl + 2 * b + br) - (tl + 2 * t + tr)];
+  };
+}
+
+/**
+ * One round of assignment, edge snapping and line fits
+ * @returns {{points: Array, residuals: Array}|null} null when the quad is degenerate
+ */
+function fitPass(outline, corners, options) {
+  const {
+    gradientAt = null,
+    searchRange = 12,
+    minGradient = 0,
+    cornerMargin = 0.15,
+    maxOffset = 0.1,
+    minOffset = 0,
+    minPoints = 8,
+    tolerance = 1.5,
+    fixedSides = [],
+  } = options;
+
+  const sides = corners.map((a, i) => {
+    const b = corners[(i + 1) % 4];
+    const length = distance(a, b);
+    return { a, length, dx: (b.x - a.x) / length, dy: (b.y - a.y) / length, points: [] };
+  });
+  if (sides.some((side) => !(side.length > 0))) return null;
+
+  // Each point goes to the side it lies closest to, if it is along its middle
+  for (const p of outline) {
+    let best = null;
+    for (const side of sides) {
+      const t = ((p.x - side.a.x) * side.dx + (p.y - side.a.y) * side.dy) / side.length;
+      const offset = Math.abs((p.x - side.a.x) * side.dy - (p.y - side.a.y) * side.dx);
+      if (t < 0 || t > 1 || (best && offset >= best.offset)) continue;
+      best = { side, t, offset };
+    }
+    if (!best || best.offset > Math.max(best.side.length * maxOffset, minOffset)) continue;
+    if (best.t < cornerMargin || best.t > 1 - cornerMargin) continue;
+
+    const point = gradientAt ? snapToEdge(p, best.side, gradientAt, searchRange, minGradient) : p;
+    if (point) best.side.points.push({ ...point, t: best.t });
+  }
+
+  const fits = sides.map((side, i) =>
+    side.points.length >= minPoints && !fixedSides.includes(i) ? ransacLine(side.points, tolerance) : null
+  );
+
+  // Sides without a fit keep the line through their corners
+  const lines = fits.map((fit, i) => fit ? fit.line : { x: sides[i].a.x, y: sides[i].a.y, dx: sides[i].dx, dy: sides[i].dy });
+  return {
+    points: lines.map((line, i) => intersectLines(lines[(i + 3) % 4], line)),
+    residuals: fits.map((fit) => (fit ? fit.rms : null)),
+  };
+}
+
+/**
+ * Move a point along the side's normal onto the document edge
+ * The edge is the outermost peak of the gradient across the side reaching
+ * half the strongest one: text and other content inside the document can
+ * be stronger than its border.
+ * @returns {{x: number, y: number}|null} null when no edge is strong enough
+ */
+function snapToEdge(p, side, gradientAt, range, minGradient) {
+  // Outward normal of a clockwise (TL, TR, BR, BL) quad in image coordinates
+  const nx = side.dy;
+  const ny = -side.dx;
+  const profile = [];
+
+  for (let d = range; d >= -range; d--) {
+    const g = gradientAt(Math.round(p.x + nx * d), Math.round(p.y + ny * d));
+    profile.push(g ? Math.abs(g[0] * nx + g[1] * ny) : 0);
+  }
+
+  const strongest = Math.max(...profile);
+  if (strongest === 0 || strongest < minGradient) return null;
+
+  for (let k = 1; k < profile.length - 1; k++) {
+    const v = profile[k];
+    if (v < strongest / 2 || v < profile[k - 1] || v < profile[k + 1]) continue;
+    // Sub-pixel peak from a parabola through the neighbours
+    const curvature = profile[k - 1] - 2 * v + profile[k + 1];
+    const shift = curvature < 0 ? (0.5 * (profile[k - 1] - profile[k + 1])) / curvature : 0;
+    const d = range - k - shift;
+    return { x: p.x + nx * d, y: p.y + ny * d };
+  }
+
+  return null;
+}
+
+/**
+ * Line through the largest set of points within tolerance of it
+ * Candidate lines join a point from the first half of the side (points are
+ * ordered along it) to one from the second half, on a fixed grid so results
+ * are reproducible. The winner is refitted to its inliers by least squares.
+ * @returns {{line: {x, y, dx, dy}, rms: number}} rms over all the side's points
+ */
+function ransacLine(points, tolerance) {
+  const sorted = [...points].sort((a, b) => a.t - b.t);
+  const n = sorted.length;
+  const half = Math.floor(n / 2);
+  const distanceTo = (line, p) => Math.abs((p.x - line.x) * line.dy - (p.y - line.y) * line.dx);
+  const inliersOf = (line) => sorted.filter((p) => distanceTo(line, p) <= tolerance);
+
+  let best = null;
+  for (let i = 0; i < RANSAC_GRID; i++) {
+    const a = sorted[Math.floor(((i + 0.5) * half) / RANSAC_GRID)];
+    for (let j = 0; j < RANSAC_GRID; j++) {
+      const b = sorted[half + Math.floor(((j + 0.5) * (n - half)) / RANSAC_GRID)];
+      const length = distance(a, b);
+      if (length === 0) continue;
+      const line = { x: a.x, y: a.y, dx: (b.x - a.x) / length, dy: (b.y - a.y) / length };
+      const count = inliersOf(line).length;
+      if (!best || count > best.count) best = { line, count };
+    }
+  }
+
+  let line = best ? best.line : fitLine(sorted);
+  // The least-squares line can gather a few more inliers: refit twice
+  for (let iter = 0; iter < 2; iter++) {
+    const inliers = inliersOf(line);
+    if (inliers.length < 2) break;
+    line = fitLine(inliers);
+  }
+
+  let sum = 0;
+  for (const p of sorted) sum += distanceTo(line, p) ** 2;
+  return { line, rms: Math.sqrt(sum / n) };
+}
@@ -0,0 +1,200 @@
+/**
+ * Worker-backed detector client
+ * Moves detection off the main thread with transferable ImageBitmaps,
+ * per-stage progress events and AbortSignal cancellation
+ */
+
+import { detectDocumentsEnhanced, detectDocuments } from './documentDetector.js';
+
+/**
+ * Check whether the browser can run detection in a worker
+ */
+export function supportsWorkerDetection() {
+  return typeof Worker !== 'undefined' &&
+    typeof OffscreenCanvas !== 'undefined' &&
+    typeof createImageBitmap !== 'undefined';
+}
+
+/**
+ * Create a detector that runs in a dedicated Web Worker
+ * Falls back to main-thread detection where workers or OffscreenCanvas are missing.
+ * Jobs are handed to the worker one at a time, so an aborted job that has
+ * not started is simply dropped, and one that is running stops with the
+ * worker, which is replaced for the next job.
+ * @returns {{detect: Function, terminate: Function}}
+ */
+export function createWorkerDetector() {
+  let worker = null;
+  let nextId = 1;
+  let running = null;
+  const pending = new Map();
+  const queue = [];
+
+  const getWorker = () => {
+    if (!worker) {
+      worker = new Worker(new URL('./detection.worker.js', import.meta.url), { type: 'module' });
+      worker.onmessage = handleMessage;
+      worker.onerror = (event) => {
+        const error = new Error(event.message || 'Detection worker failed');
+        for (const [id, job] of pending) {
+          if (id !== running) job.message.bitmap.close();
+          job.reject(error);
+        }
+        pending.clear();
+        queue.length = 0;
+        terminate();
+      };
+    }
+    return worker;
+  };
+
+  const runNext = () => {
+    while (running === null && queue.length > 0) {
+      const id = queue.shift();
+      const job = pending.get(id);
+      if (!job) continue;
+
+      try {
+        getWorker().postMessage({ id, ...job.message }, [job.message.bitmap]);
+        running = id;
+      } catch (err) {
+        // Nothing was transferred: a DataCloneError leaves the bitmap here
+        pending.delete(id);
+        job.message.bitmap.close();
+        job.reject(err);
+      }
+    }
+  };
+
+  const handleMessage = (event) => {
+    const { id, type, ...payload } = event.data;
+    const job = pending.get(id);
+    if (!job) return;
+
+    if (type === 'progress') {
+      if (job.onProgress) job.onProgress(payload);
+      return;
+    }
+
+    pending.delete(id);
+    running = null;
+
+    if (type === 'result') {
+      job.resolve(toObjectURLResult(payload.result));
+    } else {
+      job.reject(new Error(payload.message));
+    }
+    runNext();
+  };
+
+  const terminate = () => {
+    if (worker) {
+      worker.terminate();
+      worker = null;
+    }
+    running = null;
+  };
+
+  /**
+   * Detect documents in an image
+   * @param {HTMLImageElement|HTMLCanvasElement|ImageBitmap} source - Image source
+   * @param {Object} options - Detection options (see detectDocumentsCore)
+   * @param {Object} control - { onProgress, signal, enhanced, intermediate }
+   *   intermediate: false leaves out the pipeline images
+   * @returns {Promise<Object>} Detection results with object-URL intermediate images
+   */
+  const detect = async (source, options = {}, control = {}) => {
+    const { onProgress = null, signal = null, enhanced = true, intermediate = true } = control;
+
+    throwIfAborted(signal);
+
+    if (!supportsWorkerDetection()) {
+      const result = enhanced
+        ? await detectDocumentsEnhanced(source, { ...options, onProgress })
+        : await detectDocuments(source, { ...options, onProgress });
+      throwIfAborted(signal);
+      return intermediate ? result : { ...result, intermediate: {} };
+    }
+
+    const bitmap = await createImageBitmap(source);
+    if (signal && signal.aborted) {
+      bitmap.close();
+      throw abortError();
+    }
+
+    return new Promise((resolve, reject) => {
+      const id = nextId++;
+
+      // Only this job is cancelled; the others keep their place in the queue
+      const onAbort = () => {
+        const job = pending.get(id);
+        if (!job) return;
+        pending.delete(id);
+        if (running === id) {
+          terminate();
+        } else {
+          queue.splice(queue.indexOf(id), 1);
+          bitmap.close();
+        }
+        job.reject(abortError());
+        runNext();
+      };
+
+      const cleanup = () => {
+        if (signal) signal.removeEventListener('abort', onAbort);
+      };
+
+      pending.set(id, {
+        resolve: (result) => {
+          cleanup();
+          resolve(result);
+        },
+        reject: (err) => {
+          cleanup();
+          reject(err);
+        },
+        onProgress,
+        message: { bitmap, options, enhanced, intermediate },
+      });
+
+      if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+      queue.push(id);
+      runNext();
+    });
+  };
+
+  return { detect, terminate };
+}
+
+/**
+ * Revoke object URLs created for a worker result's intermediate images
+ */
+export function releaseDetectionResult(result) {
+  if (!result || !result.intermediate) return;
+
+  for (const url of Object.values(result.intermediate)) {
+    if (typeof url === 'string' && url.startsWith('blob:')) {
+      URL.revokeObjectURL(url);
+    }
+  }
+}
+
+function toObjectURLResult(result) {
+  const intermediate = {};
+  for (const [name, blob] of Object.entries(result.intermediate)) {
+    intermediate[name] = URL.createObjectURL(blob);
+  }
+
+  return { ...result, intermediate };
+}
+
+function abortError() {
+  return new DOMException('Detection aborted', 'AbortError');
+}
+
+function throwIfAborted(signal) {
+  if (signal && signal.aborted) {
+    throw abortError();
+  }
+}
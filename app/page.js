@@ -6,10 +6,10 @@ import {
   ACCEPTED_EXTENSIONS, 
   getFileType 
 } from './lib/fileConverters';
-import { 
-  detectDocumentsEnhanced, 
-  drawDetections
-} from './lib/documentDetector';
+import { drawDetections, getLabelText } from './lib/documentDetector';
+import { createWorkerDetector, releaseDetectionResult } from './lib/workerDetector';
+import { warpDocument } from './lib/documentWarp';
+import { createLiveScanner } from './lib/liveScanner';
 
 // Icons as components
 const UploadIcon = () => (
@@ -30,6 +30,13 @@ const ImageIcon = () => (
   </svg>
 );
 
+const CameraIcon = () => (
+  <svg className="w-5 h-5" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+    <path strokeLinecap="round" strokeLinejoin="round" d="M6.827 6.175A2.31 2.31 0 015.186 7.23c-.38.054-.757.112-1.134.175C2.999 7.58 2.25 8.507 2.25 9.574V18a2.25 2.25 0 002.25 2.25h15A2.25 2.25 0 0021.75 18V9.574c0-1.067-.75-1.994-1.802-2.169a47.865 47.865 0 00-1.134-.175 2.31 2.31 0 01-1.64-1.055l-.822-1.316a2.192 2.192 0 00-1.736-1.039 48.774 48.774 0 00-5.232 0 2.192 2.192 0 00-1.736 1.039l-.821 1.316z" />
+    <path strokeLinecap="round" strokeLinejoin="round" d="M16.5 12.75a4.5 4.5 0 11-9 0 4.5 4.5 0 019 0z" />
+  </svg>
+);
+
 const RefreshIcon = () => (
   <svg className="w-5 h-5" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
     <path strokeLinecap="round" strokeLinejoin="round" d="M16.023 9.348h4.992v-.001M2.985 19.644v-4.992m0 0h4.992m-4.993 0l3.181 3.183a8.25 8.25 0 0013.803-3.7M4.031 9.865a8.25 8.25 0 0113.803-3.7l3.181 3.182m0-4.991v4.99" />
@@ -62,10 +69,27 @@ const SpinnerIcon = () => (
   </svg>
 );
 
+// Intermediate images offered in the Debug View, in pipeline order
+const PIPELINE_VIEWS = ['grayscale', 'normalized', 'threshold', 'edges', 'canny', 'color', 'lines', 'processed'];
+// Capture quality checks in display order, with how each value is shown
+const QUALITY_CHECKS = [
+  { key: 'sharpness', label: 'Sharp', format: (check) => Math.round(check.value) },
+  { key: 'glare', label: 'Glare', format: (check) => `${(check.value * 100).toFixed(1)}%` },
+  { key: 'brightness', label: 'Light', format: (check) => Math.round(check.value) },
+  { key: 'clipping', label: 'Clipped', format: (check) => `${Math.round(check.value * 100)}%` },
+  { key: 'ppi', label: 'PPI', format: (check) => check.value === null ? '–' : `${Math.round(check.value)} (${check.paperSize})` },
+];
+const COLOR_MODES = [
+  { value: null, label: 'Off' },
+  { value: 'lab', label: 'Lab' },
+  { value: 'hsv', label: 'HSV' },
+];
+
 export default function Home() {
   const [dragOver, setDragOver] = useState(false);
   const [processing, setProcessing] = useState(false);
   const [processingStage, setProcessingStage] = useState('');
+  const [processingProgress, setProcessingProgress] = useState(0);
   const [results, setResults] = useState(null);
   const [currentPageIndex, setCurrentPageIndex] = useState(0);
   const [showIntermediate, setShowIntermediate] = useState(false);
@@ -74,9 +98,90 @@ export default function Home() {
     showLabels: true,
     showCorners: true
   });
+  const [detectionSettings, setDetectionSettings] = useState({
+    edgeDetector: 'sobel',
+    colorSegmentation: null,
+    auto: false,
+    illumination: null,
+    useClahe: false,
+    snapPaperSize: false
+  });
+  
+  const [cameraStream, setCameraStream] = useState(null);
+  const [cameraStatus, setCameraStatus] = useState(null);
   
   const fileInputRef = useRef(null);
   const canvasRef = useRef(null);
+  const previewRef = useRef(null);
+  const scannerRef = useRef(null);
+  const detectorRef = useRef(null);
+  const abortRef = useRef(null);
+
+  // Lazily create the worker-backed detector and shut it down on unmount
+  const getDetector = useCallback(() => {
+    if (!detectorRef.current) {
+      detectorRef.current = createWorkerDetector();
+    }
+    return detectorRef.current;
+  }, []);
+
+  useEffect(() => () => {
+    if (abortRef.current) abortRef.current.abort();
+    if (detectorRef.current) detectorRef.current.terminate();
+  }, []);
+
+  // Scan the camera stream while it is open; stopping the scanner leaves
+  // the stream to whoever opened it
+  useEffect(() => {
+    if (!cameraStream) return;
+    
+    const scanner = createLiveScanner(cameraStream, {
+      detector: getDetector(),
+      preview: previewRef.current,
+      detectionOptions: detectionSettings,
+      onUpdate: setCameraStatus,
+      onCapture: ({ image, detection }) => {
+        cameraStream.getTracks().forEach((track) => track.stop());
+        setCameraStream(null);
+        setResults([{
+          image,
+          source: 'camera',
+          fileName: `capture-${new Date().toISOString().replace(/[:.]/g, '-')}.png`,
+          ...detection
+        }]);
+      },
+      onError: (err) => console.error('Live scanning error:', err)
+    });
+    scannerRef.current = scanner;
+    let active = true;
+    
+    scanner.start().catch((err) => {
+      // A scanner stopped by the cleanup below (StrictMode's second effect
+      // run, a settings change, Cancel) has nothing to report
+      if (!active) return;
+      console.error('Camera error:', err);
+      alert(`Could not start the camera preview: ${err.message}`);
+      cameraStream.getTracks().forEach((track) => track.stop());
+      setCameraStream(null);
+    });
+    
+    return () => {
+      active = false;
+      scanner.stop();
+      scannerRef.current = null;
+      setCameraStatus(null);
+    };
+  }, [cameraStream, getDetector, detectionSettings]);
+
+  // Release object URLs held by the previous results
+  useEffect(() => () => {
+    if (results) results.forEach(releaseDetectionResult);
+  }, [results]);
+
+  // Abort a running detection
+  const handleCancel = useCallback(() => {
+    if (abortRef.current) abortRef.current.abort();
+  }, []);
 
   // Handle file selection
   const handleFiles = useCallback(async (files) => {
@@ -90,7 +195,11 @@ export default function Home() {
       return;
     }
 
+    const controller = new AbortController();
+    abortRef.current = controller;
+
     setProcessing(true);
+    setProcessingProgress(0);
     setResults(null);
     setCurrentPageIndex(0);
 
@@ -101,15 +210,24 @@ export default function Home() {
       
       // Step 2: Detect documents in each image
       const allResults = [];
+      const pageCount = processedImages.length;
       
-      for (let i = 0; i < processedImages.length; i++) {
-        setProcessingStage(`Detecting boundaries (${i + 1}/${processedImages.length})...`);
-        
-        const { image, source, pageNum, fileName } = processedImages[i];
+      for (let i = 0; i < pageCount; i++) {
+        const { image, source, pageNum, fileName, skew } = processedImages[i];
         
-        // Run detection
-        const detection = await detectDocumentsEnhanced(image, {
-          enableEnhancement: true
+        // Run detection in the worker
+        const detection = await getDetector().detect(image, {
+          enableEnhancement: true,
+          pyramid: true,
+          // Rendered pages are not captures
+          assessQuality: source === 'image',
+          ...detectionSettings
+        }, {
+          signal: controller.signal,
+          onProgress: ({ stage, progress }) => {
+            setProcessingStage(`Detecting boundaries (${i + 1}/${pageCount}): ${stage}...`);
+            setProcessingProgress((i + progress) / pageCount);
+          }
         });
         
         allResults.push({
@@ -117,6 +235,7 @@ export default function Home() {
           source,
           pageNum,
           fileName,
+          skew,
           ...detection
         });
       }
@@ -125,12 +244,17 @@ export default function Home() {
       setProcessingStage('');
       
     } catch (err) {
-      console.error('Processing error:', err);
-      alert(`Error processing file: ${err.message}`);
+      if (err.name === 'AbortError') {
+        setProcessingStage('');
+      } else {
+        console.error('Processing error:', err);
+        alert(`Error processing file: ${err.message}`);
+      }
     } finally {
+      abortRef.current = null;
       setProcessing(false);
     }
-  }, []);
+  }, [getDetector, detectionSettings]);
 
   // Drag and drop handlers
   const handleDragOver = useCallback((e) => {
@@ -196,7 +320,11 @@ export default function Home() {
 
   // Load test image
   const handleTestImage = async () => {
+    const controller = new AbortController();
+    abortRef.current = controller;
+
     setProcessing(true);
+    setProcessingProgress(0);
     setResults(null);
     setCurrentPageIndex(0);
 
@@ -214,8 +342,16 @@ export default function Home() {
 
       // Run detection
       setProcessingStage('Detecting boundaries...');
-      const detection = await detectDocumentsEnhanced(img, {
-        enableEnhancement: true
+      const detection = await getDetector().detect(img, {
+        enableEnhancement: true,
+        pyramid: true,
+        ...detectionSettings
+      }, {
+        signal: controller.signal,
+        onProgress: ({ stage, progress }) => {
+          setProcessingStage(`Detecting boundaries: ${stage}...`);
+          setProcessingProgress(progress);
+        }
       });
 
       setResults([{
@@ -226,16 +362,81 @@ export default function Home() {
       }]);
       setProcessingStage('');
     } catch (err) {
-      console.error('Test image error:', err);
-      alert(`Error processing test image: ${err.message}`);
+      if (err.name === 'AbortError') {
+        setProcessingStage('');
+      } else {
+        console.error('Test image error:', err);
+        alert(`Error processing test image: ${err.message}`);
+      }
     } finally {
+      abortRef.current = null;
       setProcessing(false);
     }
   };
 
+  // Open the rear camera and scan it live
+  const handleOpenCamera = async () => {
+    if (!navigator.mediaDevices?.getUserMedia) {
+      alert('Camera access is not available in this browser.');
+      return;
+    }
+    
+    try {
+      const stream = await navigator.mediaDevices.getUserMedia({
+        video: {
+          facingMode: 'environment',
+          width: { ideal: 1920 },
+          height: { ideal: 1080 }
+        },
+        audio: false
+      });
+      setResults(null);
+      setCurrentPageIndex(0);
+      setCameraStream(stream);
+    } catch (err) {
+      console.error('Camera error:', err);
+      alert(`Could not open the camera: ${err.message}`);
+    }
+  };
+
+  const handleCloseCamera = () => {
+    if (cameraStream) cameraStream.getTracks().forEach((track) => track.stop());
+    setCameraStream(null);
+  };
+
+  const handleCaptureNow = () => {
+    if (scannerRef.current) scannerRef.current.capture().catch((err) => console.error('Capture error:', err));
+  };
+
   const currentResult = results?.[currentPageIndex];
   const hasMultiplePages = results && results.length > 1;
 
+  // Extract a detected boundary as a flat, upright PNG (book pages are dewarped)
+  const handleExtract = (boundary, idx) => {
+    const canvas = warpDocument(currentResult.image, boundary, {
+      interpolation: 'bicubic',
+      dewarp: true
+    });
+    const baseName = currentResult.fileName.replace(/\.[^.]+$/, '');
+    const pageSuffix = currentResult.pageNum ? `-p${currentResult.pageNum}` : '';
+
+    const link = document.createElement('a');
+    link.download = `${baseName}${pageSuffix}-doc${idx + 1}.png`;
+    link.href = canvas.toDataURL('image/png');
+    link.click();
+  };
+
+  // Save the straightened page as rendered for detection
+  const handleSavePage = () => {
+    const baseName = currentResult.fileName.replace(/\.[^.]+$/, '');
+    const pageSuffix = currentResult.pageNum ? `-p${currentResult.pageNum}` : '';
+
+    const link = document.createElement('a');
+    link.download = `${baseName}${pageSuffix}-straight.png`;
+    link.href = currentResult.image.src;
+    link.click();
+  };
+
   return (
     <div className="min-h-screen p-4 md:p-8">
       {/* Header */}
@@ -262,7 +463,7 @@ export default function Home() {
 
       <main className="max-w-6xl mx-auto">
         {/* Upload Zone - Show when no results */}
-        {!results && !processing && (
+        {!results && !processing && !cameraStream && (
           <div
             className={`upload-zone p-12 text-center cursor-pointer transition-all ${
               dragOver ? 'drag-over' : ''
@@ -319,6 +520,112 @@ export default function Home() {
               >
                 Try with Sample Image
               </button>
+
+              <button
+                onClick={(e) => {
+                  e.stopPropagation();
+                  handleOpenCamera();
+                }}
+                className="btn-secondary flex items-center gap-2"
+              >
+                <CameraIcon />
+                Scan with Camera
+              </button>
+            </div>
+          </div>
+        )}
+
+        {/* Camera - live quad overlay, captures once the document holds still */}
+        {cameraStream && (
+          <div className="glass rounded-xl p-4 space-y-4 animate-fade-in">
+            <div className="canvas-container">
+              <canvas ref={previewRef} />
+            </div>
+            <div className="flex flex-wrap items-center justify-between gap-4">
+              <p className="text-text-secondary text-sm">
+                {!cameraStatus?.points
+                  ? 'Looking for a document...'
+                  : cameraStatus.stable
+                    ? 'Capturing...'
+                    : `Hold still... ${cameraStatus.stableCount}/${cameraStatus.stableFrames}`}
+              </p>
+              <div className="flex gap-3">
+                <button onClick={handleCaptureNow} className="btn-primary">
+                  Capture Now
+                </button>
+                <button onClick={handleCloseCamera} className="btn-secondary">
+                  Cancel
+                </button>
+              </div>
+            </div>
+          </div>
+        )}
+
+        {/* Detection Settings - Applied to the next upload */}
+        {!results && !processing && (
+          <div className="glass rounded-xl p-5 mt-6">
+            <h3 className="text-sm font-medium text-text-muted mb-4">Detection Settings</h3>
+            
+            <div className="space-y-3">
+              <label className="flex items-center justify-between cursor-pointer">
+                <span className="text-text-secondary text-sm">Canny Edges</span>
+                <button
+                  onClick={() => setDetectionSettings(prev => ({
+                    ...prev,
+                    edgeDetector: prev.edgeDetector === 'canny' ? 'sobel' : 'canny'
+                  }))}
+                  className={`toggle-switch ${detectionSettings.edgeDetector === 'canny' ? 'active' : ''}`}
+                />
+              </label>
+              <label className="flex items-center justify-between cursor-pointer">
+                <span className="text-text-secondary text-sm">Shadow Normalization</span>
+                <button
+                  onClick={() => setDetectionSettings(prev => ({
+                    ...prev,
+                    illumination: prev.illumination ? null : 'blur'
+                  }))}
+                  className={`toggle-switch ${detectionSettings.illumination ? 'active' : ''}`}
+                />
+              </label>
+              <label className="flex items-center justify-between cursor-pointer">
+                <span className="text-text-secondary text-sm">CLAHE</span>
+                <button
+                  onClick={() => setDetectionSettings(prev => ({ ...prev, useClahe: !prev.useClahe }))}
+                  className={`toggle-switch ${detectionSettings.useClahe ? 'active' : ''}`}
+                />
+              </label>
+              <label className="flex items-center justify-between cursor-pointer">
+                <span className="text-text-secondary text-sm">Auto Parameters</span>
+                <button
+                  onClick={() => setDetectionSettings(prev => ({ ...prev, auto: !prev.auto }))}
+                  className={`toggle-switch ${detectionSettings.auto ? 'active' : ''}`}
+                />
+              </label>
+              <label className="flex items-center justify-between cursor-pointer">
+                <span className="text-text-secondary text-sm">Snap to Paper Sizes</span>
+                <button
+                  onClick={() => setDetectionSettings(prev => ({ ...prev, snapPaperSize: !prev.snapPaperSize }))}
+                  className={`toggle-switch ${detectionSettings.snapPaperSize ? 'active' : ''}`}
+                />
+              </label>
+              <div className="flex items-center justify-between">
+                <span className="text-text-secondary text-sm">Colour Mask</span>
+                <div className="flex gap-1">
+                  {COLOR_MODES.map(({ value, label }) => (
+                    <button
+                      key={label}
+                      onClick={() => setDetectionSettings(prev => ({ ...prev, colorSegmentation: value }))}
+                      className={`px-3 py-1 rounded-lg text-xs font-medium transition-all ${
+                        detectionSettings.colorSegmentation === value
+                          ? 'bg-accent-cyan text-bg-primary'
+                          : 'bg-bg-tertiary text-text-secondary hover:text-text-primary'
+                      }`}
+                    >
+                      {label}
+                    </button>
+                  ))}
+                </div>
+              </div>
             </div>
           </div>
         )}
@@ -339,8 +646,14 @@ export default function Home() {
                 </p>
               </div>
               <div className="w-64 h-1 bg-bg-tertiary rounded-full overflow-hidden">
-                <div className="h-full bg-gradient-to-r from-accent-cyan to-accent-magenta animate-pulse" style={{ width: '60%' }} />
+                <div
+                  className="h-full bg-gradient-to-r from-accent-cyan to-accent-magenta transition-all"
+                  style={{ width: `${Math.round(processingProgress * 100)}%` }}
+                />
               </div>
+              <button onClick={handleCancel} className="btn-secondary">
+                Cancel
+              </button>
             </div>
           </div>
         )}
@@ -401,7 +714,7 @@ export default function Home() {
                   Processing Pipeline View
                 </h3>
                 <div className="flex flex-wrap gap-2">
-                  {['grayscale', 'threshold', 'edges', 'processed'].map((view) => (
+                  {PIPELINE_VIEWS.filter((view) => currentResult.intermediate[view]).map((view) => (
                     <button
                       key={view}
                       onClick={() => setIntermediateView(view)}
@@ -471,6 +784,14 @@ export default function Home() {
                       </div>
                     </div>
                     
+                    {currentResult.suppressed && currentResult.suppressed.length > 0 && (
+                      <p className="text-text-muted text-xs mt-2">
+                        Suppressed {currentResult.suppressed.length} candidate{currentResult.suppressed.length === 1 ? '' : 's'}:
+                        {' '}{currentResult.suppressed.filter(s => s.reason === 'overlap').length} overlapping,
+                        {' '}{currentResult.suppressed.filter(s => s.reason === 'contained').length} contained
+                      </p>
+                    )}
+                    
                     {/* Detected Items */}
                     {currentResult.boundaries.length > 0 && (
                       <div className="mt-4">
@@ -479,23 +800,93 @@ export default function Home() {
                           {currentResult.boundaries.map((boundary, idx) => (
                             <div
                               key={idx}
-                              className="bg-bg-tertiary rounded-lg p-3 text-sm"
+                              className={`bg-bg-tertiary rounded-lg p-3 text-sm ${
+                                boundary.lowConfidence ? 'low-confidence' : ''
+                              }`}
                             >
                               <div className="flex items-center justify-between mb-1">
                                 <span className="font-medium text-text-primary">
-                                  {boundary.type === 'single-document' ? 'Document' :
-                                   boundary.type === 'book-spread-left' ? 'Left Page' :
-                                   boundary.type === 'book-spread-right' ? 'Right Page' :
-                                   `Doc ${idx + 1}`}
+                                  {getLabelText(boundary, idx)}
                                 </span>
                                 <span className="text-accent-lime font-mono text-xs">
                                   {boundary.numVertices} pts
                                 </span>
                               </div>
-                              <div className="text-text-muted text-xs">
-                                Area: {Math.round(boundary.area).toLocaleString()}px²
-                                {boundary.isConvex && ' • Convex'}
+                              <div className="flex items-center justify-between text-text-muted text-xs">
+                                <span>
+                                  Area: {Math.round(boundary.area).toLocaleString()}px²
+                                  {boundary.isConvex && ' • Convex'}
+                                  {boundary.angle !== undefined && ` • ${boundary.angle.toFixed(1)}°`}
+                                  {boundary.cornerSource && ` • ${boundary.cornerSource}`}
+                                  {boundary.clippedSides?.length > 0 &&
+                                    ` • clipped ${boundary.clippedSides.join(', ')}`}
+                                  {boundary.children && boundary.children.length > 0 &&
+                                    ` • ${boundary.children.length} nested`}
+                                </span>
+                                {boundary.points.length === 4 && (
+                                  <button
+                                    onClick={() => handleExtract(boundary, idx)}
+                                    className="text-accent-cyan hover:text-text-primary transition-colors"
+                                    title={boundary.type?.startsWith('book-spread') ? 'Flattens the curved page' : undefined}
+                                  >
+                                    {boundary.type?.startsWith('book-spread') ? 'Dewarp' : 'Extract'}
+                                  </button>
+                                )}
                               </div>
+                              {boundary.classification && (
+                                <div className="text-text-muted font-mono text-xs mt-1">
+                                  Ratio {boundary.aspectRatio.toFixed(3)}
+                                  {boundary.paperSize && ` (${boundary.paperSize})`}
+                                  {' · '}Rounding {Math.round(boundary.classification.cornerRounding * 100)}%
+                                  {' · '}Density {Math.round(boundary.classification.contentDensity * 100)}%
+                                  {boundary.orientationConfidence > 0 &&
+                                    ` · Turn ${boundary.orientation}° (${Math.round(boundary.orientationConfidence * 100)}%)`}
+                                </div>
+                              )}
+                              {boundary.confidence !== undefined && (
+                                <div className="mt-2 text-xs">
+                                  <div className="flex items-center justify-between">
+                                    <span className={boundary.lowConfidence ? 'confidence-warning' : 'text-text-secondary'}>
+                                      {boundary.lowConfidence && '⚠ Low confidence • '}
+                                      Confidence {Math.round(boundary.confidence * 100)}%
+                                    </span>
+                                    {boundary.strategy && (
+                                      <span
+                                        className="text-text-muted"
+                                        title={boundary.supportingStrategies && `Found by: ${boundary.supportingStrategies.join(', ')}`}
+                                      >
+                                        via {boundary.strategy}
+                                      </span>
+                                    )}
+                                  </div>
+                                  <div className="text-text-muted font-mono mt-1">
+                                    Edges {Math.round(boundary.confidenceBreakdown.edgeSupport * 100)}
+                                    {' · '}Corners {Math.round(boundary.confidenceBreakdown.cornerRegularity * 100)}
+                                    {' · '}Rect {Math.round(boundary.confidenceBreakdown.rectangularity * 100)}
+                                    {' · '}Contrast {Math.round(boundary.confidenceBreakdown.contrast * 100)}
+                                  </div>
+                                  {boundary.sideResiduals && (
+                                    <div className="text-text-muted font-mono mt-1" title="RMS distance of each side's edge points to its fitted line (top, right, bottom, left)">
+                                      Side fit {boundary.sideResiduals.map((r) => (r === null ? '–' : r.toFixed(1))).join(' / ')} px
+                                    </div>
+                                  )}
+                                </div>
+                              )}
+                              {boundary.quality && (
+                                <div className="text-text-muted font-mono text-xs mt-1">
+                                  <span className={`quality-${boundary.quality.verdict}`}>
+                                    Quality {boundary.quality.verdict}
+                                  </span>
+                                  {QUALITY_CHECKS.map(({ key, label, format }) => (
+                                    <span key={key}>
+                                      {' · '}
+                                      <span className={boundary.quality.checks[key].verdict ? `quality-${boundary.quality.checks[key].verdict}` : undefined}>
+                                        {label} {format(boundary.quality.checks[key])}
+                                      </span>
+                                    </span>
+                                  ))}
+                                </div>
+                              )}
                             </div>
                           ))}
                         </div>
@@ -536,7 +927,7 @@ export default function Home() {
                 {/* File Info */}
                 <div className="glass rounded-xl p-5">
                   <h3 className="text-sm font-medium text-text-muted mb-3 flex items-center gap-2">
-                    {currentResult.source === 'image' ? <ImageIcon /> : <DocumentIcon />}
+                    {currentResult.source === 'camera' ? <CameraIcon /> : currentResult.source === 'image' ? <ImageIcon /> : <DocumentIcon />}
                     Source
                   </h3>
                   <div className="text-text-secondary text-sm space-y-1">
@@ -549,6 +940,20 @@ export default function Home() {
                     {currentResult.pageNum && (
                       <p className="text-text-muted">Page {currentResult.pageNum}</p>
                     )}
+                    {currentResult.skew?.confidence > 0 && (
+                      <p className="text-text-muted">
+                        Skew {currentResult.skew.angle.toFixed(2)}° ({Math.round(currentResult.skew.confidence * 100)}%)
+                        {currentResult.skew.corrected && ' • straightened'}
+                      </p>
+                    )}
+                    {currentResult.skew?.corrected && (
+                      <button
+                        onClick={handleSavePage}
+                        className="text-accent-cyan hover:text-text-primary transition-colors"
+                      >
+                        Save straight page
+                      </button>
+                    )}
                   </div>
                 </div>
               </div>
@@ -569,6 +974,13 @@ export default function Home() {
                   </div>
                 ))}
               </div>
+              {currentResult.stats.parameters && (
+                <p className="text-text-muted text-xs font-mono mt-3">
+                  {Object.entries(currentResult.stats.parameters)
+                    .map(([name, value]) => `${name}=${value}`)
+                    .join(' · ')}
+                </p>
+              )}
               <p className="text-text-muted text-xs mt-3">
                 100% on-device processing • No data leaves your browser • No AI/ML models used
               </p>